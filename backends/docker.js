@@ -0,0 +1,284 @@
+// Copyright 2017, 2018, 2019, 2020, 2021 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+const utils = require('../utils.js');
+
+const binds_dir = 'binds/';
+
+// Default timeouts in seconds, of the docker commands run by the backend itself
+const default_timeouts = {
+    install: 600,
+    update:  600,
+    query:   120
+};
+
+/**
+ * Installer backend for extensions that are distributed as Docker images,
+ * wraps node-api-extension-installer-docker
+ *
+ * @param {Function} set_status - Status reporter, called with (message, is_error)
+ * @param {Object} [options] - Additional options:
+ *   root           - The extension root, in which the binds directories are located
+ *   Docker         - Replacement of the node-api-extension-installer-docker module
+ *   child_process  - Replacement of the child_process module
+ *   timeouts       - Timeouts in seconds per operation: install, update and query
+ * @param {Function} cb - Called with (err, installed) after Docker has been queried
+ */
+function DockerBackend(set_status, options, cb) {
+    const ApiExtensionInstallerDocker = (options && options.Docker) || require('node-api-extension-installer-docker');
+
+    this.set_status = set_status;
+    this.root = (options && options.root);
+    this.child_process = (options && options.child_process) || require('child_process');
+    this.installed = {};
+    this.timeouts = Object.assign({}, default_timeouts);
+    this.children = new Set();
+
+    this.set_timeouts(options && options.timeouts);
+
+    this.docker = new ApiExtensionInstallerDocker((err, installed) => {
+        if (!err && installed) {
+            this.installed = installed;
+        }
+
+        cb && cb(err, installed);
+    });
+}
+
+DockerBackend.prototype.type = 'docker';
+
+/**
+ * Sets the timeouts of the docker commands, the image pulls and inspects done by the backend itself
+ *
+ * @param {Object} [timeouts] - Timeouts in seconds per operation: install, update and query
+ */
+DockerBackend.prototype.set_timeouts = function(timeouts) {
+    for (const operation in timeouts) {
+        if (this.timeouts[operation] && timeouts[operation] > 0) {
+            this.timeouts[operation] = timeouts[operation];
+        }
+    }
+}
+
+/**
+ * Kills the running docker commands, their operations fail with an error that has the aborted property set
+ */
+DockerBackend.prototype.abort = function() {
+    this.children.forEach((child) => {
+        child.aborted = true;
+        child.kill();
+    });
+}
+
+DockerBackend.prototype.get_version = function() {
+    return this.docker.get_status().version;
+}
+
+DockerBackend.prototype.is_active = function() {
+    return (this.get_version() ? true : false);
+}
+
+DockerBackend.prototype.get_name = function(extension) {
+    return (extension.image ? this.docker.get_name(extension.image) : undefined);
+}
+
+DockerBackend.prototype.get_installed = function() {
+    return this.installed;
+}
+
+DockerBackend.prototype.get_status = function(name) {
+    return this.docker.get_status(name);
+}
+
+DockerBackend.prototype.get_install_options = function(extension) {
+    return this.docker.get_install_options(extension.image);
+}
+
+/**
+ * Returns the data directory of an extension, this is the directory that gets bound into the container
+ *
+ * @param {String} name - The name of the extension
+ * @returns {String} - The path of the data directory
+ */
+DockerBackend.prototype.get_data_dir = function(name) {
+    return this.root + binds_dir + name + '/';
+}
+
+DockerBackend.prototype.install = function(name, extension, props, cb) {
+    const bind_props = {
+        root:       props.root,
+        binds_path: binds_dir + name,
+        name:       props.container
+    };
+
+    this._pull_digest(extension, 'install', (err) => {
+        if (err) {
+            cb && cb(err);
+            return;
+        }
+
+        this.docker.install(extension.image, bind_props, props.options, (err, tag) => {
+            if (err) {
+                console.error(err);
+            } else {
+                this.installed[name] = tag;
+            }
+
+            cb && cb(err, tag);
+        });
+    });
+}
+
+DockerBackend.prototype.update = function(name, extension, cb) {
+    this._pull_digest(extension, 'update', (err) => {
+        if (err) {
+            cb && cb(err, this.installed[name]);
+            return;
+        }
+
+        this.docker.update(name, (err) => {
+            if (err) {
+                console.error(err);
+            }
+
+            cb && cb(err, this.installed[name]);
+        });
+    });
+}
+
+/**
+ * Pulls the image by the digest of the integrity field, if specified, before the installer pulls it by tag,
+ * this fails the install if the registry doesn't serve the expected image; the installed tag is still
+ * verified against the digest afterwards, before the container gets started
+ *
+ * @param {Object} extension - The repository entry of the extension
+ * @param {String} operation - The operation to apply the timeout of, install or update
+ * @param {Function} cb - Called with an error if the image couldn't be pulled
+ */
+DockerBackend.prototype._pull_digest = function(extension, operation, cb) {
+    const digest = (extension.integrity ? extension.integrity.digest : undefined);
+
+    if (!digest) {
+        cb && cb();
+    } else if (!/^[\w.\-\/:]+$/.test(extension.image.repo) || extension.image.repo.startsWith('-') ||
+               !/^sha256:[0-9a-f]{64}$/.test(digest)) {
+        cb && cb(new Error('Invalid image digest: ' + extension.image.repo + '@' + digest));
+    } else {
+        const image = extension.image.repo + '@' + digest;
+
+        this._exec_file(['pull', image], operation, (err, stdout, stderr) => {
+            if (err) {
+                console.error(stderr);
+
+                cb && cb(err.aborted || err.timed_out ? err : new Error('Image not available: ' + image));
+            } else {
+                cb && cb();
+            }
+        });
+    }
+}
+
+/**
+ * Verifies that the installed image has the expected digest
+ *
+ * @param {String} name - The name of the extension
+ * @param {Object} extension - The repository entry of the extension
+ * @param {Object} integrity - The { digest } of the expected image, like sha256:...
+ * @param {Function} cb - Called with an error if verification failed
+ */
+DockerBackend.prototype.verify_integrity = function(name, extension, integrity, cb) {
+    const image = extension.image.repo + ':' + this.installed[name];
+
+    if (!integrity.digest || image.startsWith('-')) {
+        cb && cb(new Error('No digest specified'));
+        return;
+    }
+
+    this._exec_file(['image', 'inspect', '--format', '{{json .RepoDigests}}', image], 'query', (err, stdout, stderr) => {
+        let digests;
+
+        try {
+            digests = JSON.parse(stdout);
+        } catch (parse_err) {
+            digests = undefined;
+        }
+
+        if (err || !Array.isArray(digests)) {
+            console.error(stderr);
+
+            cb && cb(new Error('Digest of installed image unknown: ' + image));
+        } else if (!digests.some((digest) => digest.endsWith('@' + integrity.digest))) {
+            cb && cb(new Error('Digest mismatch: ' + image + ' is ' + digests.join(', ') + ', expected ' + integrity.digest));
+        } else {
+            cb && cb();
+        }
+    });
+}
+
+/**
+ * Runs a docker command with the timeout of the operation, tracked for abort
+ */
+DockerBackend.prototype._exec_file = function(args, operation, cb) {
+    const execFile = this.child_process.execFile;
+    const timeout = this.timeouts[operation];
+
+    utils.track(this.children, 'docker ' + args.join(' '), timeout, (callback) => {
+        return execFile('docker', args, { timeout: timeout * 1000 }, callback);
+    }, cb);
+}
+
+DockerBackend.prototype.uninstall = function(name, cb) {
+    this.docker.uninstall(name, (err, installed) => {
+        if (err) {
+            console.error(err);
+        } else if (installed) {
+            this.installed = installed;
+        }
+
+        cb && cb(err);
+    });
+}
+
+DockerBackend.prototype.start = function(name, fd, cb) {
+    // Container exits are not reported, cb doesn't get called
+    this.docker.start(name, fd);
+}
+
+DockerBackend.prototype.stop = function(name, user, cb) {
+    if (user) {
+        this.docker.stop(name, () => {
+            this.set_status("Stopped: " + name, false);
+
+            cb && cb();
+        });
+    } else {
+        this.docker.terminate(name, () => {
+            this.set_status("Process terminated: " + name, false);
+
+            cb && cb();
+        });
+    }
+}
+
+DockerBackend.prototype.log = function(name, fd) {
+    this.docker.log(name, fd);
+}
+
+DockerBackend.prototype.query_updates = function(cb, name) {
+    this.docker.query_updates(cb, name);
+}
+
+exports = module.exports = DockerBackend;
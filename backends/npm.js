@@ -0,0 +1,1128 @@
+// Copyright 2017, 2018, 2019, 2020, 2021 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+const versions = require('../versions.js');
+const utils = require('../utils.js');
+
+const module_dir = 'node_modules/';
+const backup_dir = 'backup/';
+const data_dir = 'data/';
+const changelog_file = 'CHANGELOG.md';
+
+// Default timeouts in seconds, per operation
+const default_timeouts = {
+    install:         600,
+    update:          600,
+    uninstall:       120,
+    peer_dependency: 300,
+    query:           120
+};
+
+const fs = require('fs');
+
+// On Windows npm is a batch file, which can only be run via a shell, its script gets run by node instead
+const npm_cli = (process.platform == 'win32' ? _find_npm_cli() : undefined);
+
+/**
+ * Installer backend for extensions that are distributed as git repositories, installed via npm
+ *
+ * @param {Function} set_status - Status reporter, called with (message, is_error)
+ * @param {Object} [options] - Additional options:
+ *   prefix         - The npm prefix to use for global installs, defaults to the npm configured prefix
+ *   child_process  - Replacement of the child_process module
+ *   https          - Replacement of the https module
+ *   timeouts       - Timeouts in seconds per operation: install, update, uninstall, peer_dependency and query
+ * @param {Function} cb - Called with (err, installed) after the global packages have been queried
+ */
+function NpmBackend(set_status, options, cb) {
+    options = options || {};
+
+    this.set_status = set_status;
+    this.child_process = options.child_process || require('child_process');
+    this.https = options.https || require('https');
+    this.global = (options.prefix ? ['-g', '--prefix', options.prefix] : ['-g']);
+    this.root = undefined;
+    this.runner = undefined;
+    this.installed = {};
+    this.timeouts = Object.assign({}, default_timeouts);
+    this.children = new Set();
+
+    this.set_timeouts(options.timeouts);
+
+    this._query_root(() => {
+        this.query_installs(() => {
+            cb && cb(undefined, this.installed);
+        });
+    });
+}
+
+NpmBackend.prototype.type = 'npm';
+NpmBackend.prototype.pinnable = true;
+
+NpmBackend.prototype.get_root = function() {
+    return this.root;
+}
+
+NpmBackend.prototype.set_runner = function(runner) {
+    this.runner = runner;
+}
+
+/**
+ * Sets the timeouts of the child processes, a process that doesn't complete in time gets killed
+ *
+ * @param {Object} [timeouts] - Timeouts in seconds per operation: install, update, uninstall, peer_dependency and query
+ */
+NpmBackend.prototype.set_timeouts = function(timeouts) {
+    for (const operation in timeouts) {
+        if (this.timeouts[operation] && timeouts[operation] > 0) {
+            this.timeouts[operation] = timeouts[operation];
+        }
+    }
+}
+
+/**
+ * Kills all running child processes, their operations fail with an error that has the aborted property set
+ */
+NpmBackend.prototype.abort = function() {
+    this.children.forEach((child) => {
+        child.aborted = true;
+        child.kill();
+    });
+}
+
+NpmBackend.prototype.is_active = function() {
+    return true;
+}
+
+NpmBackend.prototype.get_name = function(extension) {
+    let name;
+
+    if (extension.repository && extension.repository.url) {
+        const git = (_is_valid_url(extension.repository.url) ? _parse_git_url(extension.repository.url) : undefined);
+
+        if (git && _is_valid_name(git.name)) {
+            name = git.name;
+        }
+    }
+
+    return name;
+}
+
+NpmBackend.prototype.get_installed = function() {
+    return this.installed;
+}
+
+NpmBackend.prototype.get_status = function(name) {
+    const version = this.installed[name];
+    let state = (version ? 'installed' : 'not_installed');
+
+    if (state == 'installed' && this.runner) {
+        state = this.runner.get_status(name);
+    }
+
+    return {
+        state:   state,
+        version: version
+    };
+}
+
+NpmBackend.prototype.install = function(name, extension, props, cb) {
+    const url = _get_install_url(extension, props && props.version);
+
+    if (!_is_valid_url(url)) {
+        cb && cb(new Error('Invalid repository URL: ' + url));
+        return;
+    }
+
+    this._npm(['install'].concat(this.global, url), undefined, 'install', (err, stdout, stderr) => {
+        if (err) {
+            console.error(stderr);
+
+            cb && cb(err);
+        } else {
+            // Apply data that got imported before the install
+            this.post_install(name, extension, true, cb);
+        }
+    });
+}
+
+NpmBackend.prototype.update = function(name, extension, cb) {
+    const commit = (extension.integrity ? extension.integrity.commit : undefined);
+    // Move to the expected commit, npm update would take the latest one
+    const args = (commit ? ['install'].concat(this.global, _get_install_url(extension)) :
+                           ['update'].concat(this.global, name));
+
+    if (!_is_valid_name(name)) {
+        cb && cb(new Error('Invalid package name: ' + name));
+        return;
+    } else if (commit && !_is_valid_url(args[args.length - 1])) {
+        cb && cb(new Error('Invalid repository URL: ' + args[args.length - 1]));
+        return;
+    }
+
+    this._snapshot(name, (snapshot_err) => {
+        if (snapshot_err) {
+            // Update anyway, without the possibility to roll back
+            console.error(snapshot_err);
+        }
+
+        this.save_data(name, (err) => {
+            const rollback = (err) => {
+                if (snapshot_err) {
+                    cb && cb(err);
+                } else {
+                    this.rollback(name, (rollback_err) => {
+                        err.rolled_back = !rollback_err;
+
+                        cb && cb(err);
+                    });
+                }
+            };
+
+            if (err) {
+                // Updating would lose the data
+                console.error(err);
+
+                cb && cb(err);
+                return;
+            }
+
+            this._npm(args, undefined, 'update', (err, stdout, stderr) => {
+                if (err) {
+                    console.error(stderr);
+
+                    rollback(err);
+                } else {
+                    this.post_install(name, extension, true, (err, version, peer_deps_installed) => {
+                        if (err) {
+                            rollback(err);
+                        } else {
+                            cb && cb(err, version, peer_deps_installed);
+                        }
+                    });
+                }
+            });
+        });
+    });
+}
+
+/**
+ * Returns the data directory of a package, which holds a copy of the files and directories listed in
+ * its .npmignore file, the copy is taken before an update and on export and gets restored after install
+ *
+ * @param {String} name - The name of the package
+ * @returns {String} - The path of the data directory
+ */
+NpmBackend.prototype.get_data_dir = function(name) {
+    return this.root + data_dir + _get_file_name(name) + '/';
+}
+
+/**
+ * Copies the data of an installed package into its data directory,
+ * the data directory is left as is if the package doesn't have an .npmignore file
+ *
+ * @param {String} name - The name of the package
+ * @param {Function} cb - Called with an error if copying failed
+ */
+NpmBackend.prototype.save_data = function(name, cb) {
+    const cwd = this.root + module_dir + name + '/';
+    const data_path = this.get_data_dir(name);
+
+    fs.readFile(cwd + '.npmignore', 'utf8', (err, data) => {
+        if (err) {
+            cb && cb();
+        } else {
+            const entries = _get_data_entries(data, cwd);
+
+            utils.remove_dir(data_path, () => {
+                const mkdirp = require('mkdirp');
+
+                mkdirp(data_path, (err) => {
+                    if (err || !entries.length) {
+                        cb && cb(err);
+                    } else {
+                        _copy_files(cwd, data_path, entries, cb);
+                    }
+                });
+            });
+        }
+    });
+}
+
+/**
+ * Copies the contents of the data directory into the installed package
+ *
+ * @param {String} name - The name of the package
+ * @param {Function} cb - Called with an error if copying failed
+ */
+NpmBackend.prototype.restore_data = function(name, cb) {
+    const data_path = this.get_data_dir(name);
+
+    fs.readdir(data_path, (err, entries) => {
+        if (err || !entries.length) {
+            cb && cb();
+        } else {
+            _copy_files(data_path, this.root + module_dir + name + '/', entries, cb);
+        }
+    });
+}
+
+/**
+ * Restores the snapshot of the previously installed version, including its data
+ *
+ * @param {String} name - The name of the package
+ * @param {Function} cb - Called with (err, version)
+ */
+NpmBackend.prototype.rollback = function(name, cb) {
+    const snapshot_file = this.root + backup_dir + _get_file_name(name) + '.snapshot.tgz';
+    const snapshot = this.get_snapshot(name);
+
+    if (snapshot) {
+        const tar = require('tar');
+
+        utils.remove_dir(this.root + module_dir + name, () => {
+            tar.extract({ file: snapshot_file, cwd: this.root + module_dir }, [], (err) => {
+                if (err) {
+                    console.error(err);
+
+                    cb && cb(err);
+                } else {
+                    this._remove_snapshot(name);
+
+                    this.query_installs(() => {
+                        cb && cb(undefined, this.installed[name]);
+                    }, name);
+                }
+            });
+        });
+    } else {
+        cb && cb(new Error('No snapshot available'));
+    }
+}
+
+/**
+ * Returns the details of the snapshot that was taken before the last update
+ *
+ * @param {String} name - The name of the package
+ * @returns {Object} - The { version, date } of the snapshot, undefined if not available
+ */
+NpmBackend.prototype.get_snapshot = function(name) {
+    const snapshot_base = this.root + backup_dir + _get_file_name(name) + '.snapshot';
+
+    if (fs.existsSync(snapshot_base + '.tgz')) {
+        return utils.read_JSON_file_sync(snapshot_base + '.json');
+    }
+
+    return undefined;
+}
+
+/**
+ * Collects the information about an available update of a package
+ *
+ * @param {String} name - The name of the package
+ * @param {Object} extension - The repository entry of the package
+ * @param {String} version - The available version
+ * @param {Function} cb - Called with the { tags, commits, release_notes } of the update,
+ *                        tags lists the tags between the versions, commits is the { from, to } range
+ */
+NpmBackend.prototype.get_update_info = function(name, extension, version, cb) {
+    const git = (extension && extension.repository ? _parse_git_url(extension.repository.url) : undefined);
+    const package_json = utils.read_JSON_file_sync(this.root + module_dir + name + '/package.json') || {};
+    const current = this.installed[name];
+    let info = {
+        tags:          [],
+        commits:       undefined,
+        release_notes: undefined
+    };
+
+    if (!git) {
+        cb && cb(info);
+        return;
+    }
+
+    const url = extension.repository.url.split('#')[0];
+    const refs = 'refs/tags/*';
+
+    this._exec_file('git', ['ls-remote', '--', url, git.committish || 'HEAD', refs], undefined, 'query', (err, stdout, stderr) => {
+        let head;
+        let to_tag;
+
+        if (err) {
+            console.error(stderr);
+        } else {
+            let tags = {};
+
+            stdout.split('\n').forEach((line) => {
+                const fields = line.trim().split(/\s+/);
+
+                if (fields.length == 2) {
+                    if (fields[1].startsWith('refs/tags/')) {
+                        // Annotated tags are listed twice, the peeled (^{}) entry holds the commit
+                        tags[fields[1].substring(10).replace(/\^\{\}$/, '')] = fields[0];
+                    } else {
+                        head = fields[0];
+                    }
+                }
+            });
+
+            info.tags = Object.keys(tags).filter((tag) => {
+                return versions.compare(tag, current) > 0 && versions.compare(tag, version) <= 0;
+            }).sort(versions.compare);
+
+            to_tag = info.tags[info.tags.length - 1];
+
+            if (to_tag && versions.compare(to_tag, version) == 0) {
+                head = tags[to_tag];
+            } else {
+                to_tag = undefined;
+            }
+        }
+
+        if (package_json.gitHead && head && package_json.gitHead != head) {
+            info.commits = {
+                from: package_json.gitHead,
+                to:   head
+            };
+        }
+
+        this._download_file(git, to_tag || git.committish, changelog_file, (data) => {
+            if (data === undefined) {
+                // Fall back to the changelog of the installed package
+                try {
+                    data = fs.readFileSync(this.root + module_dir + name + '/' + changelog_file, 'utf8');
+                } catch (err) {
+                    data = undefined;
+                }
+            }
+
+            info.release_notes = (data ? _extract_release_notes(data, current) : undefined);
+
+            cb && cb(info);
+        });
+    });
+}
+
+/**
+ * Verifies that the installed package was built from the expected commit
+ *
+ * @param {String} name - The name of the package
+ * @param {Object} extension - The repository entry of the package
+ * @param {Object} integrity - The { commit } with the full SHA of the expected commit
+ * @param {Function} cb - Called with an error if verification failed
+ */
+NpmBackend.prototype.verify_integrity = function(name, extension, integrity, cb) {
+    if (!integrity.commit) {
+        cb && cb(new Error('No commit specified'));
+        return;
+    }
+
+    this._get_commit(name, (commit) => {
+        if (!commit) {
+            cb && cb(new Error('Commit of installed package unknown: ' + name));
+        } else if (commit.toLowerCase() != integrity.commit.toLowerCase()) {
+            cb && cb(new Error('Commit mismatch: ' + name + ' is ' + commit + ', expected ' + integrity.commit));
+        } else {
+            cb && cb();
+        }
+    });
+}
+
+NpmBackend.prototype.uninstall = function(name, cb) {
+    if (!_is_valid_name(name)) {
+        cb && cb(new Error('Invalid package name: ' + name));
+        return;
+    }
+
+    this._npm(['uninstall'].concat(this.global, name), undefined, 'uninstall', (err, stdout, stderr) => {
+        if (err) {
+            console.error(stderr);
+        } else {
+            delete this.installed[name];
+            this._remove_snapshot(name);
+            utils.remove_dir(this.get_data_dir(name));
+        }
+
+        cb && cb(err);
+    });
+}
+
+NpmBackend.prototype.start = function(name, fd, cb) {
+    const cwd = this.root + module_dir + name;
+
+    this.runner.start(name, cwd, '.', (fd ? fd : 'ignore'), cb);
+}
+
+NpmBackend.prototype.stop = function(name, user, cb) {
+    if (this.runner && this.runner.get_status(name) == 'running') {
+        if (user) {
+            this.runner.stop(name, cb);
+        } else {
+            this.runner.terminate(name, cb);
+        }
+    } else if (cb) {
+        cb();
+    }
+}
+
+/**
+ * Performs the steps required after a package got installed or updated:
+ * installation of missing peer dependencies and restore of the user data
+ *
+ * @param {String} name - The name of the package
+ * @param {Object} extension - The repository entry of the package
+ * @param {Boolean} [restore] - Restores the contents of the data directory into the package
+ * @param {Function} cb - Called with (err, version, peer_deps_installed)
+ */
+NpmBackend.prototype.post_install = function(name, extension, restore, cb) {
+    this.query_installs((peer_deps) => {
+        const done = () => {
+            if (restore) {
+                this.restore_data(name, (err) => {
+                    cb && cb(err, this.installed[name], peer_deps !== undefined);
+                });
+            } else {
+                cb && cb(undefined, this.installed[name], peer_deps !== undefined);
+            }
+        };
+
+        if (peer_deps) {
+            this._install_peer_dependency(name, peer_deps, peer_deps.length - 1, (err) => {
+                if (err) {
+                    cb && cb(err);
+                } else {
+                    this._read_npmignore(name, extension, done);
+                }
+            });
+        } else {
+            this._read_npmignore(name, extension, done);
+        }
+    }, name);   // Query installed extension to obtain version number
+}
+
+NpmBackend.prototype.query_installs = function(cb, name) {
+    let args = ['list'].concat(this.global, '--depth=0', '--json');
+
+    if (name) {
+        if (!_is_valid_name(name)) {
+            cb && cb();
+            return;
+        }
+
+        args.push(name);
+    }
+
+    this._npm(args, undefined, 'query', (err, stdout, stderr) => {
+        const list = utils.parse_JSON(stdout);
+        let peer_deps;
+        let other_error = !list || list.error;
+
+        if (list && name && err) {
+            const problems = list.problems || [];
+
+            for (let i = 0; i < problems.length; i++) {
+                // e.g. 'peer dep missing: package@^1.0.0, required by extension@1.0.0'
+                const problem = problems[i].split(': ');
+
+                if (problem[0] == 'peer dep missing' || problem[0] == 'missing') {
+                    if (!peer_deps) peer_deps = {};
+
+                    peer_deps[problem[1].split(', ')[0]] = undefined;
+                } else if (problem[0] != 'extraneous') {
+                    console.error(problems[i]);
+                    other_error = true;
+                }
+            }
+        }
+
+        if (other_error) {
+            console.error(list && list.error ? list.error.summary : stderr);
+            this.set_status("Extension query failed", true);
+
+            cb && cb();
+        } else {
+            const dependencies = list.dependencies || {};
+
+            // Process global list output (npm list -g)
+            if (name) {
+                delete this.installed[name];
+            } else {
+                this.installed = {};
+            }
+
+            for (const package_name in dependencies) {
+                // Missing peer dependencies are listed without version
+                if (dependencies[package_name].version) {
+                    this.installed[package_name] = dependencies[package_name].version;
+                }
+            }
+
+            cb && cb(peer_deps ? Object.keys(peer_deps) : undefined);
+        }
+    });
+}
+
+NpmBackend.prototype.query_updates = function(cb, name) {
+    let args = ['outdated'].concat(this.global, '--depth=0', '--json');
+    let results = {};
+
+    if (name) {
+        if (!_is_valid_name(name)) {
+            cb && cb(results);
+            return;
+        }
+
+        args.push(name);
+    }
+
+    this._npm(args, undefined, 'query', (err, stdout, stderr) => {
+        /* Since npm 4.x the 'outdated' command has an exit code of 1 in case of outdated packages,
+         * hence the check for a valid JSON output instead of err. Without output an error is a failure,
+         * as is a killed process (timed out or aborted).
+         */
+        const failed = (err && (err.killed || err.timed_out || err.aborted || !stdout.trim()));
+        const outdated = (failed ? undefined : (stdout.trim() ? utils.parse_JSON(stdout) : {}));
+
+        if (!outdated || outdated.error) {
+            this.set_status("Updates query failed", true);
+            console.error(outdated ? outdated.error.summary : (stderr || (err ? err.message : '')));
+        } else if (Object.keys(outdated).length) {
+            for (const package_name in outdated) {
+                results[package_name] = outdated[package_name].wanted;
+            }
+        } else {
+            /* In npm 7.x (at least 7.3.0) the 'outdated' command gives no output on git dependencies,
+            * this might be a bug as documentation still says that these are always reinstalled.
+            * The workaround is to take over the installed npm based extensions as these are all git dependencies.
+            */
+            if (name) {
+                results[name] = this.installed[name];
+            } else {
+                for (const name in this.installed) {
+                    results[name] = this.installed[name];
+                }
+            }
+        }
+
+        cb && cb(results);
+    });
+}
+
+NpmBackend.prototype._query_root = function(cb) {
+    this._npm(['root'].concat(this.global), undefined, 'query', (err, stdout, stderr) => {
+        if (err) {
+            console.error(stderr);
+        } else {
+            const path = require('path');
+
+            // The extension root is the parent of the global node_modules directory
+            this.root = path.dirname(stdout.trim()) + '/';
+        }
+
+        cb && cb();
+    });
+}
+
+NpmBackend.prototype._snapshot = function(name, cb) {
+    const tar = require('tar');
+    const snapshot_base = this.root + backup_dir + _get_file_name(name) + '.snapshot';
+    const options = { file: snapshot_base + '.tgz', cwd: this.root + module_dir, gzip: true };
+
+    this._remove_snapshot(name);
+
+    tar.create(options, [name], (err) => {
+        if (!err) {
+            const snapshot = {
+                version: this.installed[name],
+                date:    new Date().toISOString()
+            };
+
+            fs.writeFileSync(snapshot_base + '.json', JSON.stringify(snapshot));
+        }
+
+        cb && cb(err);
+    });
+}
+
+NpmBackend.prototype._remove_snapshot = function(name) {
+    const snapshot_base = this.root + backup_dir + _get_file_name(name) + '.snapshot';
+
+    for (const file of [snapshot_base + '.tgz', snapshot_base + '.json']) {
+        if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+    }
+}
+
+/**
+ * Gets the commit from which an installed package was built, as recorded by npm
+ */
+NpmBackend.prototype._get_commit = function(name, cb) {
+    const package_json = utils.read_JSON_file_sync(this.root + module_dir + name + '/package.json') || {};
+
+    if (package_json.gitHead) {
+        cb && cb(package_json.gitHead);
+    } else {
+        this._npm(['list'].concat(this.global, '--depth=0', '--json', '--long', name), undefined, 'query', (err, stdout, stderr) => {
+            const list = utils.parse_JSON(stdout);
+            const dependency = (list && list.dependencies ? list.dependencies[name] : undefined);
+            const resolved = (dependency ? dependency.resolved || dependency._resolved : undefined);
+            const hash = (resolved ? resolved.indexOf('#') : -1);
+
+            cb && cb(hash >= 0 ? resolved.substring(hash + 1) : undefined);
+        });
+    }
+}
+
+NpmBackend.prototype._install_peer_dependency = function(name, peer_deps, count, cb) {
+    const cwd = this.root + module_dir + name;
+    const package_string = peer_deps[count];
+
+    if (!_is_valid_package_string(package_string)) {
+        let err = new Error('Invalid peer dependency: ' + package_string);
+
+        err.peer_dependency = package_string;
+        cb && cb(err);
+        return;
+    }
+
+    this.set_status("Installing peer dependency: " + package_string + "...", false);
+
+    this._npm(['install', package_string], { cwd: cwd }, 'peer_dependency', (err, stdout, stderr) => {
+        if (err) {
+            console.error(stderr);
+            this.set_status("Installation failed: " + package_string, true);
+
+            err.peer_dependency = package_string;
+            cb && cb(err);
+        } else if (count) {
+            this._install_peer_dependency(name, peer_deps, count - 1, cb);
+        } else {
+            cb && cb();
+        }
+    });
+}
+
+/**
+ * Runs npm with an argument array, without a shell. Only on Windows without the npm script next to node
+ * the npm batch file is run via the shell, with quoted arguments, in which cmd doesn't interpret | < > ^ & or space,
+ * arguments with the characters that remain special, " % and !, are refused.
+ */
+NpmBackend.prototype._npm = function(args, options, operation, cb) {
+    if (process.platform != 'win32') {
+        this._exec_file('npm', args, options, operation, cb);
+    } else if (npm_cli) {
+        this._exec_file(process.execPath, [npm_cli].concat(args), options, operation, cb);
+    } else if (args.some((arg) => /["%!\r\n]/.test(arg))) {
+        cb && cb(new Error('Argument not allowed in a shell: ' + args.find((arg) => /["%!\r\n]/.test(arg))), '', '');
+    } else {
+        const quoted = args.map((arg) => '"' + arg + '"');
+
+        this._exec_file('npm.cmd', quoted, Object.assign({ shell: true }, options), operation, cb);
+    }
+}
+
+NpmBackend.prototype._exec_file = function(file, args, options, operation, cb) {
+    const execFile = this.child_process.execFile;
+
+    this._track(file + ' ' + args.join(' '), operation, (callback) => {
+        return execFile(file, args, this._get_exec_options(options, operation), callback);
+    }, cb);
+}
+
+NpmBackend.prototype._get_exec_options = function(options, operation) {
+    return Object.assign({
+        timeout: this.timeouts[operation] * 1000,
+        // Fail instead of waiting for credentials that never get entered
+        env:     Object.assign({}, process.env, { GIT_TERMINAL_PROMPT: '0' })
+    }, options);
+}
+
+/**
+ * Keeps track of a child process for abort, a killed process results in an error
+ * with either the timed_out or the aborted property set
+ */
+NpmBackend.prototype._track = function(description, operation, run, cb) {
+    utils.track(this.children, description, this.timeouts[operation], run, cb);
+}
+
+NpmBackend.prototype._read_npmignore = function(name, extension, cb) {
+    const npmignore = this.root + module_dir + name + '/.npmignore';
+
+    fs.readFile(npmignore, 'utf8', (err, data) => {
+        if (err) {
+            this._get_gitignore(name, extension, (data) => {
+                if (data) {
+                    fs.writeFileSync(npmignore, data);
+                }
+
+                cb && cb();
+            });
+        } else {
+            cb && cb();
+        }
+    });
+}
+
+/**
+ * Gets the .gitignore file of a package, trying in order:
+ * the installed package, a download from the git host and a shallow clone of the repository
+ *
+ * @param {String} name - The name of the package
+ * @param {Object} extension - The repository entry of the package
+ * @param {Function} cb - Called with the file contents, undefined if not available
+ */
+NpmBackend.prototype._get_gitignore = function(name, extension, cb) {
+    const git = (extension && extension.repository ? _parse_git_url(extension.repository.url) : undefined);
+
+    fs.readFile(this.root + module_dir + name + '/.gitignore', 'utf8', (err, data) => {
+        if (!err) {
+            cb && cb(data);
+        } else if (git) {
+            let committish = git.committish;
+
+            if (!committish) {
+                // Get committish from package.json
+                const package_json = utils.read_JSON_file_sync(this.root + module_dir + name + '/package.json');
+
+                if (package_json && package_json._requested && package_json._requested.gitCommittish) {
+                    committish = package_json._requested.gitCommittish;
+                }
+            }
+
+            this._download_file(git, committish, '.gitignore', (data) => {
+                if (data !== undefined) {
+                    cb && cb(data);
+                } else {
+                    this._clone_gitignore(extension.repository.url.split('#')[0], committish, cb);
+                }
+            });
+        } else {
+            cb && cb();
+        }
+    });
+}
+
+NpmBackend.prototype._download_file = function(git, committish, file, cb) {
+    const url = _get_raw_url(git, committish || 'HEAD', file);
+
+    console.log('url:', url);
+
+    utils.download(this.https, url, {}, (status, body) => {
+        if (status == 200) {
+            cb && cb(body);
+        } else {
+            if (status == 404) {
+                console.log(file + ' file not found');
+            } else if (status) {
+                console.error(file + ' download failed: ' + status);
+            }
+
+            cb && cb();
+        }
+    });
+}
+
+NpmBackend.prototype._clone_gitignore = function(url, committish, cb) {
+    const os = require('os');
+    const path = require('path');
+
+    fs.mkdtemp(path.join(os.tmpdir(), 'gitignore-'), (err, dir) => {
+        if (err) {
+            console.error(err);
+
+            cb && cb();
+        } else {
+            let args = ['clone', '--depth', '1', '--no-checkout'];
+
+            if (committish) {
+                args.push('--branch', committish);
+            }
+
+            args.push('--', url, dir);
+
+            this._exec_file('git', args, undefined, 'query', (err, stdout, stderr) => {
+                if (err) {
+                    console.error(stderr);
+
+                    utils.remove_dir(dir, cb);
+                } else {
+                    this._exec_file('git', ['-C', dir, 'show', 'HEAD:.gitignore'], undefined, 'query', (err, stdout, stderr) => {
+                        if (err) {
+                            console.log('.gitignore file not found');
+                        }
+
+                        utils.remove_dir(dir, () => {
+                            cb && cb(err ? undefined : stdout);
+                        });
+                    });
+                }
+            });
+        }
+    });
+}
+
+/**
+ * Parses a git URL in one of the forms accepted by npm, with an optional #committish:
+ *   https://host/owner/repo.git, git+https://..., git+ssh://git@host/owner/repo.git, git://...
+ *   git@host:owner/repo.git (scp-like syntax)
+ *   github:owner/repo, gitlab:group/subgroup/repo, bitbucket:owner/repo
+ * The path can have multiple levels, like GitLab subgroups.
+ *
+ * @param {String} url - The git URL
+ * @returns {Object} - The { protocol, host, path, name, committish } parts, undefined if not a git URL
+ */
+function _parse_git_url(url) {
+    const shortcuts = {
+        github:    'github.com',
+        gitlab:    'gitlab.com',
+        bitbucket: 'bitbucket.org'
+    };
+    const hash = url.indexOf('#');
+    let committish;
+    let protocol;
+    let host;
+    let path;
+    let match;
+
+    if (hash >= 0) {
+        committish = url.substring(hash + 1);
+        url = url.substring(0, hash);
+    }
+
+    if ((match = url.match(/^(?:git\+)?([a-z]+):\/\/(?:[^@\/]+@)?([^\/]+)\/(.+)$/i))) {
+        protocol = match[1].toLowerCase();
+        host = match[2];
+        path = match[3];
+    } else if ((match = url.match(/^([a-z]+):([^\/].*)$/i)) && shortcuts[match[1].toLowerCase()]) {
+        protocol = 'https';
+        host = shortcuts[match[1].toLowerCase()];
+        path = match[2];
+    } else if ((match = url.match(/^(?:[^@\/]+@)?([^\/:]+):([^\/].*)$/))) {
+        protocol = 'ssh';
+        host = match[1];
+        path = match[2];
+    }
+
+    if (host) {
+        const segments = path.replace(/\/+$/, '').replace(/\.git$/, '').split('/');
+
+        if (segments.length >= 2 && segments.every((segment) => segment)) {
+            return {
+                protocol:   protocol,
+                host:       host,
+                path:       segments.join('/'),
+                name:       segments[segments.length - 1],
+                committish: committish
+            };
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Returns the URL via which a raw file can be downloaded from the git host
+ *
+ * @param {Object} git - The parsed git URL
+ * @param {String} committish - The branch, tag or commit
+ * @param {String} file - The path of the file in the repository
+ * @returns {String} - The URL of the raw file
+ */
+function _get_raw_url(git, committish, file) {
+    const host = git.host.toLowerCase();
+    let url;
+
+    if (host == 'github.com') {
+        url = 'https://raw.githubusercontent.com/' + git.path + '/' + committish + '/' + file;
+    } else if (host.includes('gitlab')) {
+        url = 'https://' + git.host + '/' + git.path + '/-/raw/' + committish + '/' + file;
+    } else {
+        // Bitbucket, Gitea and alike
+        url = 'https://' + git.host + '/' + git.path + '/raw/' + committish + '/' + file;
+    }
+
+    return url;
+}
+
+/**
+ * Returns the URL to install a package from, at the commit of its integrity field if specified,
+ * so that no other code gets installed (and runs its lifecycle scripts) before verification
+ *
+ * @param {Object} extension - The repository entry of the package
+ * @param {String} [version] - The pinned version, used if no integrity commit is specified
+ * @returns {String} - The git URL with committish
+ */
+function _get_install_url(extension, version) {
+    const url = extension.repository.url;
+    const integrity = extension.integrity;
+
+    if (integrity && integrity.commit) {
+        return url.split('#')[0] + '#' + integrity.commit;
+    } else if (version) {
+        // Install the pinned version instead of the default branch
+        return url.split('#')[0] + '#' + _get_committish(version);
+    }
+
+    return url;
+}
+
+/**
+ * Converts a pinned version into an npm committish, commits, tags and branches are used as is,
+ * versions and ranges are resolved against the tags of the repository
+ *
+ * @param {String} version - The commit, tag, branch, version or semver range
+ * @returns {String} - The committish to append to the git URL
+ */
+function _get_committish(version) {
+    if (/^[0-9a-f]{7,40}$/i.test(version) || version.startsWith('semver:')) {
+        return version;
+    } else if (/^[v=]?\d+(\.(\d+|[x*]))*$/i.test(version) || /^[\^~<>*]/.test(version) || version.includes(' ')) {
+        return 'semver:' + version;
+    }
+
+    return version;
+}
+
+/**
+ * Extracts the part of a changelog that is newer than the current version,
+ * the full changelog is returned if the current version can't be found
+ *
+ * @param {String} changelog - The contents of the changelog
+ * @param {String} current - The current version
+ * @returns {String} - The release notes
+ */
+function _extract_release_notes(changelog, current) {
+    const lines = changelog.split('\n');
+
+    if (current) {
+        const pattern = new RegExp('^#+.*\\b[v=]?' + current.replace(/\./g, '\\.') + '\\b');
+
+        for (let i = 0; i < lines.length; i++) {
+            if (pattern.test(lines[i])) {
+                return lines.slice(0, i).join('\n').trim();
+            }
+        }
+    }
+
+    return changelog.trim();
+}
+
+/**
+ * Checks a package name against the npm naming rules, which excludes shell and option syntax,
+ * upper case is accepted for names of legacy packages
+ *
+ * @param {String} name - The package name, optionally scoped
+ * @returns {Boolean} - True if valid
+ */
+function _is_valid_name(name) {
+    return (typeof name == 'string' && name.length <= 214 &&
+            /^(@[a-z0-9~][a-z0-9\-._~]*\/)?[a-z0-9~][a-z0-9\-._~]*$/i.test(name));
+}
+
+/**
+ * Checks a git URL against the forms allowed for installs: https, git+https, git+ssh, ssh and git URLs,
+ * scp-like user@host:path URLs and github:, gitlab: and bitbucket: shortcuts, it can't be an option
+ *
+ * @param {String} url - The git URL, with an optional #committish
+ * @returns {Boolean} - True if valid
+ */
+function _is_valid_url(url) {
+    const hash = (typeof url == 'string' ? url.indexOf('#') : -1);
+    const base = (hash >= 0 ? url.substring(0, hash) : url);
+    const committish = (hash >= 0 ? url.substring(hash + 1) : '');
+    const forms = [
+        /^(?:https|git\+https|git\+ssh|ssh|git):\/\/(?:[\w.\-~%]+@)?[a-z0-9][\w.\-]*(?::\d+)?[\/:][\w.+@\/~%\-]+$/i,
+        /^[\w.\-~%]+@[a-z0-9][\w.\-]*:[\w.+@\/~%\-]+$/i,
+        /^(?:github|gitlab|bitbucket):[\w.\-~]+\/[\w.\-~]+$/i
+    ];
+
+    return (typeof url == 'string' && forms.some((form) => form.test(base)) &&
+            /^[\w.+\-^~<>=*|:\/ ]*$/.test(committish));
+}
+
+/**
+ * Checks a package string, like package@^1.0.0, as used for peer dependencies
+ *
+ * @param {String} package_string - The package name with optional version range
+ * @returns {Boolean} - True if valid
+ */
+function _is_valid_package_string(package_string) {
+    const at = package_string.lastIndexOf('@');
+    const name = (at > 0 ? package_string.substring(0, at) : package_string);
+    const range = (at > 0 ? package_string.substring(at + 1) : '');
+
+    return (_is_valid_name(name) && /^[\w.+\-^~<>=*| ]*$/.test(range));
+}
+
+/**
+ * Returns the path of the npm script that comes with node on Windows, undefined if not available
+ */
+function _find_npm_cli() {
+    const path = require('path');
+    const npm_cli = path.join(path.dirname(process.execPath), 'node_modules', 'npm', 'bin', 'npm-cli.js');
+
+    return (fs.existsSync(npm_cli) ? npm_cli : undefined);
+}
+
+function _get_file_name(name) {
+    // Scoped package names contain a slash
+    return name.replace('/', '+');
+}
+
+/**
+ * Returns the entries of an .npmignore file that exist in the working directory, node_modules excluded
+ */
+function _get_data_entries(data, cwd) {
+    const lines = data.split('\n');
+    let entries = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        let line = lines[i].trim();
+
+        if (line[line.length - 1] == '/') {
+            // Remove trailing slash
+            line = line.substring(0, line.length - 1);
+        }
+
+        if (line && line != 'node_modules' && line[0] != '#') {
+            if (fs.existsSync(cwd + line)) {
+                entries.push(line);
+            }
+        }
+    }
+
+    return entries;
+}
+
+function _copy_files(from, to, entries, cb) {
+    const tar = require('tar');
+    const extract = tar.extract({ cwd: to });
+    let done = false;
+    const finish = (err) => {
+        if (!done) {
+            done = true;
+
+            cb && cb(err);
+        }
+    };
+
+    extract.on('close', finish);
+    extract.on('error', finish);
+
+    tar.create({ cwd: from }, entries).on('error', finish).pipe(extract);
+}
+
+exports = module.exports = NpmBackend;
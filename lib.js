@@ -63,6 +63,9 @@ const ACTION_START_AND_LOG = 5;
 const ACTION_RESTART = 6;
 const ACTION_RESTART_AND_LOG = 7;
 const ACTION_STOP = 8;
+const ACTION_ROLLBACK = 9;
+const ACTION_PIN = 10;
+const ACTION_UNPIN = 11;
 
 const action_strings = [
     '',
@@ -73,7 +76,10 @@ const action_strings = [
     'Start (with logging)',
     'Restart',
     'Restart (with logging)',
-    'Stop'
+    'Stop',
+    'Rollback',
+    'Pin version',
+    'Unpin version'
 ];
 
 const stdout_write = process.stdout.write;
@@ -81,84 +87,166 @@ const stderr_write = process.stderr.write;
 const module_dir = 'node_modules/';
 const backup_dir = 'backup/';
 const repos_dir = 'repos/';
+const repos_cache_dir = 'repos_cache/';
 const log_dir = 'log/';
-const binds_dir = 'binds/';
+const pins_file = 'pins.json';
+const install_options_file = 'install_options.json';
+const logging_file = 'logging.json';
+const queue_file = 'queue.json';
+const backup_manifest = 'backup.json';
+const signature_ext = '.sig';
 const perform_update = 66;
 const perform_restart = 67;
 
 const fs = require('fs');
-var ApiExtensionRunner = require('node-api-extension-runner');
-var ApiExtensionInstallerDocker = require('node-api-extension-installer-docker');
-
-var write_stream;
-var runner = undefined;
-var docker = undefined;
-var extension_root;
-var features;
-var repos = [];
-var index_cache = {};
-var npm_installed = {};
-var npm_preferred = true;
-var docker_installed = {};
-var containerized;
-var updates_list = {};
-var action_queue = {};
-var logging_active = false;
-var logs_list = {};
-var self_update_pending = false;
-var session_error;
-
-var repository_cb;
-var status_cb;
-var on_activity_changed;
-
-function ApiExtensionInstaller(callbacks, logging, use_runner, features_file) {
-    process.on('SIGTERM', _handle_signal);
-    process.on('SIGINT', _handle_signal);
-    process.on('SIGBREAK', _handle_signal);
+const util = require('util');
+const EventEmitter = require('events');
+var NpmBackend = require('./backends/npm.js');
+var DockerBackend = require('./backends/docker.js');
+var versions = require('./versions.js');
+var utils = require('./utils.js');
+
+// The installers of this process, these share the signal handlers
+const instances = new Set();
+
+/**
+ * Creates an extension installer, all state is kept per instance
+ *
+ * The installer is an EventEmitter, emitting the following lifecycle events:
+ *   install:start, update:start, uninstall:start       - { name }
+ *   rollback:start                                     - { name }
+ *   install:done, update:done, rollback:done           - { name, version }
+ *   uninstall:done                                     - { name }
+ *   install:failed, update:failed, uninstall:failed    - { name, error }
+ *   rollback:failed                                    - { name, error }
+ *   process:start                                      - { name, logging }
+ *   process:stop                                       - { name, user }
+ *   process:exit                                       - { name, code, signal, user }, not emitted for docker installs
+ *   repository:loaded                                  - { categories, errors }
+ *   repository:failed                                  - {}
+ *   updates:found                                      - { updates } with name/version pairs
+ *   status                                             - { message, is_error }
+ *
+ * @param {Object} [callbacks] - The repository_changed, status_changed and started callbacks
+ * @param {Boolean} [logging] - Enables logging of extension output
+ * @param {Boolean} [use_runner] - Runs the npm installed extensions as child processes
+ * @param {String} [features_file] - Path to the features file, defaults to features.json in the extension root
+ * @param {Object} [options] - Additional options, the module replacements allow for testing without side effects:
+ *   npm_prefix     - The npm prefix to install into, selects the extension root
+ *   child_process  - Replacement of the child_process module
+ *   https          - Replacement of the https module
+ *   Runner         - Replacement of the node-api-extension-runner module
+ *   Docker         - Replacement of the node-api-extension-installer-docker module
+ */
+function ApiExtensionInstaller(callbacks, logging, use_runner, features_file, options) {
+    EventEmitter.call(this);
+
+    this.options = options || {};
+
+    this.write_stream = undefined;
+    this.runner = undefined;
+    this.npm = undefined;
+    this.docker = undefined;
+    this.other_backends = [];
+    this.extension_root = undefined;
+    this.features = undefined;
+    this.pins = {};
+    this.install_options = {};
+    this.repos = [];
+    this.index_cache = {};
+    this.repository_errors = [];
+    this.installed = {};
+    this.npm_preferred = true;
+    this.npm_version = undefined;
+    this.containerized = undefined;
+    this.updates_list = {};
+    this.update_timer = undefined;
+    this.action_queue = {};
+    this.queue_journal = undefined;
+    this.logging_active = false;
+    this.logs_list = {};
+    this.self_update_pending = false;
+    this.session_error = undefined;
+    this.action_waiters = {};
+
+    this.repository_cb = undefined;
+    this.status_cb = undefined;
+    this.on_activity_changed = undefined;
+
+    const set_status = this._set_status.bind(this);
+
+    if (!instances.size) {
+        process.on('SIGTERM', _handle_signal);
+        process.on('SIGINT', _handle_signal);
+        process.on('SIGBREAK', _handle_signal);
+    }
+    instances.add(this);
 
     if (callbacks) {
         if (callbacks.repository_changed) {
-            repository_cb = callbacks.repository_changed;
+            this.repository_cb = callbacks.repository_changed;
         }
         if (callbacks.status_changed) {
-            status_cb = callbacks.status_changed;
+            this.status_cb = callbacks.status_changed;
         }
     }
 
-    if (_check_prerequisites()) {
-        _query_installs(() => {
+    if (this._check_prerequisites()) {
+        const npm_options = {
+            prefix:        this.options.npm_prefix,
+            child_process: this.options.child_process,
+            https:         this.options.https
+        };
+
+        this.npm = new NpmBackend(set_status, npm_options, () => {
             const mkdirp = require('mkdirp');
 
+            this.extension_root = this.npm.get_root();
+            this._refresh_installed(this.npm);
+
             if (features_file) {
-                features = _read_JSON_file_sync(features_file);
+                this.features = utils.read_JSON_file_sync(features_file);
+            }
+
+            if (!this.features && this.extension_root) {
+                this.features = utils.read_JSON_file_sync(this.extension_root + 'features.json');
             }
 
-            if (!features && extension_root) {
-                features = _read_JSON_file_sync(extension_root + 'features.json');
+            if (this.features && this.features.timeouts) {
+                this.npm.set_timeouts(this.features.timeouts);
+            }
+
+            if (this.extension_root) {
+                this.pins = utils.read_JSON_file_sync(this.extension_root + pins_file) || {};
+                this.install_options = utils.read_JSON_file_sync(this.extension_root + install_options_file) || {};
+
+                // Actions that didn't complete before the previous exit, resumed after repository load
+                this.queue_journal = utils.read_JSON_file_sync(this.extension_root + queue_file);
             }
 
             // Create log directory
-            extension_root && mkdirp(extension_root + log_dir, (err, made) => {
+            this.extension_root && mkdirp(this.extension_root + log_dir, (err, made) => {
                 if (err) {
                     console.error(err);
                 } else {
                     let logs_array = [];
 
-                    _set_status("Starting Roon Extension Manager...", false);
+                    this._set_status("Starting Roon Extension Manager...", false);
 
-                    if (!features || features.log_mode != 'off') {
+                    if (!this.features || this.features.log_mode != 'off') {
                         // Logging feature active
                         if (logging) {
                             // Logging enabled
-                            logs_array = _read_JSON_file_sync('logging.json');
+                            // Previous versions kept the file in the working directory
+                            logs_array = utils.read_JSON_file_sync(this.extension_root + logging_file) ||
+                                         utils.read_JSON_file_sync(logging_file);
                             if (logs_array === undefined) logs_array = [];
 
                             if (logs_array && logs_array.includes(MANAGER_NAME) &&
-                                    (!features || features.log_mode != 'child_nodes')) {
+                                    (!this.features || this.features.log_mode != 'child_nodes')) {
                                 // Start logging of manager stdout
-                                const fd = _get_log_descriptor(MANAGER_NAME);
-                                write_stream = fs.createWriteStream('', {flags: 'a', fd: fd});
+                                const fd = this._get_log_descriptor(MANAGER_NAME);
+                                const write_stream = fs.createWriteStream('', {flags: 'a', fd: fd});
 
                                 process.stdout.write = function() {
                                     stdout_write.apply(process.stdout, arguments);
@@ -168,65 +256,78 @@ function ApiExtensionInstaller(callbacks, logging, use_runner, features_file) {
                                     stderr_write.apply(process.stderr, arguments);
                                     write_stream.write.apply(write_stream, arguments);
                                 };
+
+                                this.write_stream = write_stream;
                             }
                         }
 
-                        logging_active = logging;
+                        this.logging_active = logging;
                     }
 
                     // Create backup directory, used during update
-                    mkdirp(extension_root + backup_dir, (err, made) => {
+                    mkdirp(this.extension_root + backup_dir, (err, made) => {
                         if (err) {
                             console.error(err);
                         }
                     });
 
-                    docker = new ApiExtensionInstallerDocker((err, installed) => {
+                    const docker_options = {
+                        root:          this.extension_root,
+                        Docker:        this.options.Docker,
+                        child_process: this.options.child_process,
+                        timeouts:      (this.features ? this.features.timeouts : undefined)
+                    };
+
+                    this.docker = new DockerBackend(set_status, docker_options, (err) => {
                         if (err) {
                             // Docker errors are not critical for operation
                             console.log('Warning: ' + err);
 
-                            npm_preferred = true;
+                            this.npm_preferred = true;
                         } else {
-                            _set_status(`Docker for Linux found: Version ${docker.get_status().version}`, false);
+                            this._set_status(`Docker for Linux found: Version ${this.docker.get_version()}`, false);
 
-                            npm_preferred = (!features || features.docker_install != 'prio');
+                            this.npm_preferred = (!this.features || this.features.docker_install != 'prio');
 
-                            if (!features || features.docker_install != 'off') {
-                                docker_installed = installed;
+                            this._refresh_installed(this.docker);
 
-                                for (let i = 0; i < logs_array.length; i++) {
-                                    const name = logs_array[i];
+                            for (let i = 0; i < logs_array.length; i++) {
+                                const name = logs_array[i];
 
-                                    if (docker_installed[name] && docker.get_status(name).state == 'running') {
-                                        console.log("Capturing log stream of " + name);
-                                        docker.log(name, _get_log_descriptor(name));
-                                    }
+                                if (this.installed.docker[name] && this.docker.get_status(name).state == 'running') {
+                                    console.log("Capturing log stream of " + name);
+                                    this.docker.log(name, this._get_log_descriptor(name));
                                 }
                             }
                         }
 
                         // Make sure post install actions have been performed
-                        _post_install(MANAGER_NAME, undefined, () => {
-                            if (!npm_installed[REPOS_NAME]) {
+                        this.npm.post_install(MANAGER_NAME, this._get_extension(MANAGER_NAME), undefined, () => {
+                            this._refresh_installed(this.npm);
+
+                            if (!this.installed.npm[REPOS_NAME]) {
                                 // Install extension repository
-                                _queue_action(REPOS_NAME, { action: ACTION_INSTALL, url: REPOS_GIT });
-                            } else if ( npm_installed[REPOS_NAME] < MIN_REPOS_VERSION) {
-                                _queue_action(REPOS_NAME, { action: ACTION_UPDATE });
+                                this._queue_action(REPOS_NAME, { action: ACTION_INSTALL, url: REPOS_GIT });
+                            } else if (this.installed.npm[REPOS_NAME] < MIN_REPOS_VERSION) {
+                                this._queue_action(REPOS_NAME, { action: ACTION_UPDATE });
                             } else {
-                                _load_repository();
+                                this._load_repository();
                             }
 
                             if (use_runner) {
-                                runner = new ApiExtensionRunner(MANAGER_NAME, (running) => {
+                                const ApiExtensionRunner = this.options.Runner || require('node-api-extension-runner');
+
+                                this.runner = new ApiExtensionRunner(MANAGER_NAME, (running) => {
                                     // Start previously running extensions
                                     for (let i = 0; i < running.length; i++) {
-                                        if (npm_installed[running[i]]) {
-                                            _start(running[i], logs_array.includes(running[i]));
+                                        if (this.installed.npm[running[i]]) {
+                                            this._start(running[i], logs_array.includes(running[i]));
                                         }
                                     }
                                 });
 
+                                this.npm.set_runner(this.runner);
+
                                 callbacks.started && callbacks.started();
                             }
                         });
@@ -237,14 +338,16 @@ function ApiExtensionInstaller(callbacks, logging, use_runner, features_file) {
     }
 }
 
+util.inherits(ApiExtensionInstaller, EventEmitter);
+
 ApiExtensionInstaller.prototype.get_extensions_by_category = function(category_index) {
-    const extensions = repos[category_index].extensions;
+    const extensions = this.repos[category_index].extensions;
     let values = [];
 
     // Collect extensions
     for (let i = 0; i < extensions.length; i++) {
         if (extensions[i].display_name) {
-            const name = _get_name(extensions[i]);
+            const name = this._get_name(extensions[i]);
 
             values.push({
                 title: extensions[i].display_name,
@@ -252,7 +355,56 @@ ApiExtensionInstaller.prototype.get_extensions_by_category = function(category_i
             });
 
             // Take the opportunity to cache the item
-            index_cache[name] = [category_index, i];
+            this.index_cache[name] = [category_index, i];
+        }
+    }
+
+    values.sort(_compare);
+
+    return values;
+}
+
+/**
+ * Searches the extensions of all categories, matching all words of the query
+ * against the display name, description, author and tags of the repository entries
+ *
+ * @param {String} [query] - The words to search for, case insensitive, all entries match if empty
+ * @param {Object} [filters] - Additional criteria:
+ *   type             - The install type, like 'npm' or 'docker'
+ *   installed        - True for installed, false for not installed extensions
+ *   update_available - True for extensions with an available update
+ *   tags             - Tags of which the entry should have all
+ * @returns {Object[]} - The { title, value, category } of the matching extensions, sorted by title
+ */
+ApiExtensionInstaller.prototype.search = function(query, filters) {
+    const words = (query || '').toLowerCase().split(/\s+/).filter((word) => word);
+    let values = [];
+
+    filters = filters || {};
+
+    for (let i = 0; i < this.repos.length; i++) {
+        const extensions = this.repos[i].extensions;
+
+        for (let j = 0; j < extensions.length; j++) {
+            const extension = extensions[j];
+
+            if (extension.display_name) {
+                const name = this._get_name(extension);
+                const tags = (Array.isArray(extension.tags) ? extension.tags : []);
+                const text = [extension.display_name, extension.description, extension.author]
+                    .concat(tags).join(' ').toLowerCase();
+
+                // Take the opportunity to cache the item
+                this.index_cache[name] = [i, j];
+
+                if (words.every((word) => text.includes(word)) && this._matches_filters(name, extension, filters)) {
+                    values.push({
+                        title:    extension.display_name,
+                        value:    name,
+                        category: i
+                    });
+                }
+            }
         }
     }
 
@@ -261,18 +413,238 @@ ApiExtensionInstaller.prototype.get_extensions_by_category = function(category_i
     return values;
 }
 
+ApiExtensionInstaller.prototype._matches_filters = function(name, extension, filters) {
+    const installed_backend = this._get_backend(name);
+
+    if (filters.installed !== undefined && filters.installed != !!installed_backend) {
+        return false;
+    }
+
+    if (filters.update_available !== undefined && filters.update_available != !!this.updates_list[name]) {
+        return false;
+    }
+
+    if (filters.type) {
+        const backend = installed_backend || this._get_install_backend(extension);
+
+        if (!backend || backend.type != filters.type) {
+            return false;
+        }
+    }
+
+    if (filters.tags && filters.tags.length) {
+        const tags = (Array.isArray(extension.tags) ? extension.tags.map((tag) => String(tag).toLowerCase()) : []);
+
+        if (!filters.tags.every((tag) => tags.includes(String(tag).toLowerCase()))) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Installs an extension
+ *
+ * @param {String} name - The name of the extension
+ * @param {Object} [options] - The install options, as offered by get_actions
+ * @param {String} [version] - The tag, commit or semver range to install, gets pinned after a successful install
+ * @returns {Promise<String>} - Resolves with the installed version, rejects with an action error
+ */
+ApiExtensionInstaller.prototype.install = function(name, options, version) {
+    if (!name || !this._get_extension(name)) {
+        return Promise.reject(_create_action_error(ACTION_INSTALL, name, new Error('Not in repository: ' + name)));
+    }
+
+    if (version && !this._is_pinnable(name)) {
+        return Promise.reject(_create_action_error(ACTION_INSTALL, name, new Error('Version pinning not supported: ' + name)));
+    } else if (version && !_is_valid_version(version)) {
+        return Promise.reject(_create_action_error(ACTION_INSTALL, name, new Error('Invalid version: ' + version)));
+    } else if (version && this.action_queue[name] && this.action_queue[name].version != version) {
+        // The pending action doesn't install this version
+        const pending = action_strings[this.action_queue[name].action];
+
+        return Promise.reject(_create_action_error(ACTION_INSTALL, name, new Error('Pending action: ' + pending)));
+    }
+
+    const promise = this._wait_for_action(name, ACTION_INSTALL);
+
+    // The version gets pinned after a successful install
+    this._queue_requirements(name);
+    this._queue_action(name, { action: ACTION_INSTALL, options: options, version: version });
+
+    return promise;
+}
+
+/**
+ * Updates an extension, if an update is available
+ *
+ * The promise of a manager update doesn't settle, the manager exits to get updated.
+ *
+ * @param {String} name - The name of the extension
+ * @returns {Promise<String>} - Resolves with the (updated) version, rejects with an action error
+ */
 ApiExtensionInstaller.prototype.update = function(name) {
-    ApiExtensionInstaller.prototype.perform_action.call(this, ACTION_UPDATE, name);
+    let promise;
+
+    if (this.updates_list[name]) {
+        promise = this._wait_for_action(name, ACTION_UPDATE);
+
+        this.perform_action(ACTION_UPDATE, name);
+    } else {
+        promise = Promise.resolve(this._get_version(name));
+    }
+
+    // Existing callers ignore the result, prevent unhandled rejections
+    promise.catch(() => {});
+
+    return promise;
+}
+
+/**
+ * Uninstalls an extension
+ *
+ * @param {String} name - The name of the extension
+ * @returns {Promise<undefined>} - Resolves when uninstalled, rejects with an action error
+ */
+ApiExtensionInstaller.prototype.uninstall = function(name) {
+    const promise = this._wait_for_action(name, ACTION_UNINSTALL);
+
+    this.perform_action(ACTION_UNINSTALL, name);
+
+    return promise;
 }
 
+/**
+ * Rolls an extension back to the version that was installed before the last update, including its data
+ *
+ * @param {String} name - The name of the extension
+ * @returns {Promise<String>} - Resolves with the restored version, rejects with an action error
+ */
+ApiExtensionInstaller.prototype.rollback = function(name) {
+    const promise = this._wait_for_action(name, ACTION_ROLLBACK);
+
+    this.perform_action(ACTION_ROLLBACK, name);
+
+    return promise;
+}
+
+/**
+ * Updates all extensions for which an update is available
+ *
+ * The promise doesn't await a manager update, the manager exits to get updated.
+ *
+ * @returns {Promise<String[]>} - Resolves with the names of the updated extensions,
+ *                                rejects with an error that lists the failed updates in its errors property
+ */
 ApiExtensionInstaller.prototype.update_all = function() {
-    if (!features || features.auto_update != 'off') {
-        _query_updates(_queue_updates);
+    const promise = new Promise((resolve, reject) => {
+        if (!this.features || this.features.auto_update != 'off') {
+            this._query_updates((updates) => {
+                const names = Object.keys(updates).filter((name) => (name != MANAGER_NAME && name != UPDATER_NAME));
+                const results = names.map((name) => {
+                    return this._wait_for_action(name, ACTION_UPDATE).then(() => undefined, (err) => err);
+                });
+
+                this._queue_updates(updates);
+
+                Promise.all(results).then((errors) => {
+                    errors = errors.filter((err) => err);
+
+                    if (errors.length) {
+                        let err = new Error('Update failed: ' + errors.map((err) => err.extension).join(', '));
+
+                        err.errors = errors;
+                        reject(err);
+                    } else {
+                        resolve(names);
+                    }
+                });
+            });
+        } else {
+            resolve([]);
+        }
+    });
+
+    // Existing callers ignore the result, prevent unhandled rejections
+    promise.catch(() => {});
+
+    return promise;
+}
+
+/**
+ * Pins an extension to a version, a pinned extension is installed at that version
+ * and excluded from updates until it gets unpinned
+ *
+ * @param {String} name - The name of the extension
+ * @param {String} [version] - The tag, commit or semver range, defaults to the installed version
+ * @returns {Boolean} - True if pinned
+ */
+ApiExtensionInstaller.prototype.pin = function(name, version) {
+    version = version || this._get_version(name);
+
+    if (!_is_valid_version(version)) {
+        this._set_status("Invalid version: " + version, true);
+
+        return false;
+    } else if (!this._is_pinnable(name)) {
+        this._set_status("Version pinning not supported: " + name, true);
+
+        return false;
+    }
+
+    this.pins[name] = version;
+    delete this.updates_list[name];
+
+    this._write_pins();
+    this._set_status("Pinned: " + name + " (" + version + ")", false);
+
+    return true;
+}
+
+/**
+ * Checks if the backend of an extension, or the backend it would be installed with, honours pinned versions
+ *
+ * @param {String} name - The name of the extension
+ * @returns {Boolean} - True if the extension can be pinned
+ */
+ApiExtensionInstaller.prototype._is_pinnable = function(name) {
+    const extension = this._get_extension(name);
+    const backend = this._get_backend(name) || (extension ? this._get_install_backend(extension) : undefined);
+
+    return (backend && backend.pinnable ? true : false);
+}
+
+/**
+ * Unpins an extension, it gets included in updates again
+ *
+ * @param {String} name - The name of the extension
+ */
+ApiExtensionInstaller.prototype.unpin = function(name) {
+    if (this.pins[name]) {
+        delete this.pins[name];
+
+        this._write_pins();
+        this._set_status("Unpinned: " + name, false);
+
+        if (this._get_backend(name)) {
+            this._query_updates(null, name);
+        }
     }
 }
 
+/**
+ * Returns the version an extension is pinned to
+ *
+ * @param {String} name - The name of the extension
+ * @returns {String} - The tag, commit or semver range, undefined if not pinned
+ */
+ApiExtensionInstaller.prototype.get_pin = function(name) {
+    return this.pins[name];
+}
+
 ApiExtensionInstaller.prototype.restart_manager = function() {
-    _restart(MANAGER_NAME, logging_active ? logs_list[MANAGER_NAME] : undefined);
+    this._restart(MANAGER_NAME, this.logging_active ? this.logs_list[MANAGER_NAME] : undefined);
 }
 
 /**
@@ -282,58 +654,113 @@ ApiExtensionInstaller.prototype.restart_manager = function() {
  * @returns {('not_installed'|'installed'|'stopped'|'terminated'|'running')} - The status of the extension
  */
 ApiExtensionInstaller.prototype.get_status = function(name) {
-    if (docker_installed[name]) {
-        let status = docker.get_status(name);
+    const backend = this._get_backend(name);
+    let status;
 
-        status.logging = (logs_list[name] !== undefined);
+    if (backend) {
+        status = backend.get_status(name);
 
-        return status;
-    } else {
-        // npm.get_status(name)
-        const version = npm_installed[name];
-
-        let state = (version ? 'installed' : 'not_installed');
-
-        if (state == 'installed' && name != REPOS_NAME && runner) {
-            state = runner.get_status(name);
+        if (name == REPOS_NAME) {
+            // The repository is a data package, it doesn't run
+            status.state = 'installed';
         }
-
-        return {
-            state:   state,
-            version: version,
-            logging: (logs_list[name] !== undefined)
+    } else {
+        status = {
+            state:   'not_installed',
+            version: undefined
         };
     }
+
+    status.logging = (this.logs_list[name] !== undefined);
+    status.pinned = this.pins[name];
+
+    return status;
 }
 
 ApiExtensionInstaller.prototype.get_details = function(name) {
-    const index_pair = _get_index_pair(name);
-    const extension = repos[index_pair[0]].extensions[index_pair[1]];
+    const index_pair = this._get_index_pair(name);
+    const extension = this.repos[index_pair[0]].extensions[index_pair[1]];
 
     return {
         author:       extension.author,
         packager:     extension.packager,
         display_name: extension.display_name,
-        description:  extension.description
+        description:  extension.description,
+        tags:         extension.tags
     };
 }
 
+/**
+ * Returns the information about an available update of an extension
+ *
+ * Release notes from the repository entry take precedence over the CHANGELOG of the package,
+ * the release_notes field of an entry is either a string or an object with the notes per version.
+ *
+ * @param {String} name - The name of the extension
+ * @param {Function} [cb] - Called with the update info
+ * @returns {Promise<Object>} - Resolves with the { name, current, available, tags, commits, release_notes } of the update,
+ *                              available is undefined if no update is available
+ */
+ApiExtensionInstaller.prototype.get_update_info = function(name, cb) {
+    const backend = this._get_backend(name);
+    const extension = this._get_extension(name);
+    const available = this.updates_list[name];
+
+    return new Promise((resolve) => {
+        let info = {
+            name:          name,
+            current:       this._get_version(name),
+            available:     available,
+            tags:          [],
+            commits:       undefined,
+            release_notes: undefined
+        };
+        const done = (backend_info) => {
+            const release_notes = (extension ? extension.release_notes : undefined);
+
+            Object.assign(info, backend_info);
+
+            if (typeof release_notes == 'string') {
+                info.release_notes = release_notes;
+            } else if (release_notes && release_notes[available]) {
+                info.release_notes = release_notes[available];
+            }
+
+            cb && cb(info);
+
+            resolve(info);
+        };
+
+        if (available && backend && backend.get_update_info) {
+            backend.get_update_info(name, extension, available, done);
+        } else {
+            done();
+        }
+    });
+}
+
 ApiExtensionInstaller.prototype.get_actions = function(name) {
-    const state = ApiExtensionInstaller.prototype.get_status.call(this, name).state;
+    const state = this.get_status(name).state;
     let actions = [];
     let options;
+    let reason;
 
     if (state == 'not_installed') {
-        const index_pair = _get_index_pair(name);
-        const extension = repos[index_pair[0]].extensions[index_pair[1]];
+        const index_pair = this._get_index_pair(name);
+        const extension = this.repos[index_pair[0]].extensions[index_pair[1]];
+        const backend = this._get_install_backend(extension);
 
-        actions.push(_create_action_pair(ACTION_INSTALL));
+        reason = this._get_incompatibility(extension);
 
-        if (!npm_preferred || !extension.repository) {
-            options = docker.get_install_options(extension.image);
+        if (!reason) {
+            actions.push(_create_action_pair(ACTION_INSTALL));
+
+            if (backend && backend.get_install_options) {
+                options = backend.get_install_options(extension);
+            }
         }
     } else {
-        if (updates_list[name]) {
+        if (this.updates_list[name]) {
             actions.push(_create_action_pair(ACTION_UPDATE));
         }
 
@@ -341,22 +768,35 @@ ApiExtensionInstaller.prototype.get_actions = function(name) {
             if (state == 'running') {
                 actions.push(_create_action_pair(ACTION_RESTART));
 
-                if (logging_active && (!features || features.log_mode != 'child_nodes')) {
+                if (this.logging_active && (!this.features || this.features.log_mode != 'child_nodes')) {
                     actions.push(_create_action_pair(ACTION_RESTART_AND_LOG));
                 }
             }
-        } else if (repos[_get_index_pair(name)[0]].display_name != SYSTEM_NAME) {
-            actions.push(_create_action_pair(ACTION_UNINSTALL));
+        } else if (this.repos[this._get_index_pair(name)[0]].display_name != SYSTEM_NAME) {
+            const backend = this._get_backend(name);
+
+            if (!this._get_dependents(name).length) {
+                actions.push(_create_action_pair(ACTION_UNINSTALL));
+            }
+            if (this.pins[name]) {
+                actions.push(_create_action_pair(ACTION_UNPIN));
+            } else if (backend.pinnable) {
+                actions.push(_create_action_pair(ACTION_PIN));
+            }
+
+            if (backend.get_snapshot && backend.get_snapshot(name)) {
+                actions.push(_create_action_pair(ACTION_ROLLBACK));
+            }
 
             if (state == 'running') {
                 actions.push(_create_action_pair(ACTION_RESTART));
-                if (logging_active) {
+                if (this.logging_active) {
                     actions.push(_create_action_pair(ACTION_RESTART_AND_LOG));
                 }
                 actions.push(_create_action_pair(ACTION_STOP));
             } else {
                 actions.push(_create_action_pair(ACTION_START));
-                if (logging_active) {
+                if (this.logging_active) {
                     actions.push(_create_action_pair(ACTION_START_AND_LOG));
                 }
             }
@@ -365,184 +805,1000 @@ ApiExtensionInstaller.prototype.get_actions = function(name) {
 
     return {
         actions: actions,
-        options: options
+        options: options,
+        reason:  reason
     };
 }
 
 ApiExtensionInstaller.prototype.get_features = function() {
-    return features;
+    return this.features;
 }
 
 ApiExtensionInstaller.prototype.set_log_state = function(logging) {
-    if ((!logging_active && logging) || (logging_active && !logging)) {
+    if ((!this.logging_active && logging) || (this.logging_active && !logging)) {
         // State changed
-        _restart(MANAGER_NAME);
+        this._restart(MANAGER_NAME);
     }
 }
 
 ApiExtensionInstaller.prototype.perform_action = function(action, name, options) {
     switch (action) {
         case ACTION_INSTALL:
-            _queue_action(name, { action: ACTION_INSTALL, options: options });
+            this._queue_requirements(name);
+            this._queue_action(name, { action: ACTION_INSTALL, options: options });
             break;
         case ACTION_UPDATE:
-            if (updates_list[name]) {
+            if (this.updates_list[name]) {
                 let update = {};
 
-                update[name] = updates_list[name];
-                _queue_updates(update);
+                update[name] = this.updates_list[name];
+                this._queue_updates(update);
             }
             break;
         case ACTION_UNINSTALL:
-            _queue_action(name, { action: ACTION_UNINSTALL });
+            this._queue_action(name, { action: ACTION_UNINSTALL });
+            break;
+        case ACTION_ROLLBACK:
+            this._queue_action(name, { action: ACTION_ROLLBACK });
+            break;
+        case ACTION_PIN:
+            this.pin(name, options);
+            break;
+        case ACTION_UNPIN:
+            this.unpin(name);
             break;
         case ACTION_START:
-            _start(name, false);
+            this._start(name, false);
             break;
         case ACTION_START_AND_LOG:
-            _start(name, true);
+            this._start(name, true);
             break;
         case ACTION_RESTART:
-            _restart(name, false);
+            this._restart(name, false);
             break;
         case ACTION_RESTART_AND_LOG:
-            _restart(name, true);
+            this._restart(name, true);
             break;
         case ACTION_STOP:
-            _stop(name, true);
+            this._stop(name, true);
             break;
     }
 }
 
 ApiExtensionInstaller.prototype.set_on_activity_changed = function(cb) {
-    on_activity_changed = cb;
+    this.on_activity_changed = cb;
 }
 
 ApiExtensionInstaller.prototype.is_idle = function(name) {
-    return (name ? !action_queue[name] : !Object.keys(action_queue).length);
+    return (name ? !this.action_queue[name] : !Object.keys(this.action_queue).length);
 }
 
-ApiExtensionInstaller.prototype.get_logs_archive = function(cb) {
-    const tar = require('tar');
-    const backup_file = extension_root + backup_dir + 'extension-logs.tar.gz';
-    const options = { file: backup_file, cwd: extension_root, gzip: true };
+/**
+ * Aborts all actions, pending actions get cancelled and running actions fail with their child processes killed
+ */
+ApiExtensionInstaller.prototype.abort = function() {
+    Object.keys(this.action_queue).forEach((name) => this.cancel(name));
 
-    tar.create(options, [log_dir], () => {
-        cb && cb(backup_file);
+    this._get_backends().forEach((backend) => {
+        backend.abort && backend.abort();
     });
-}
 
-function _create_action_pair(action) {
-    return {
-        title: action_strings[action],
-        value: action
-    };
+    this._set_status("Aborted all actions", false);
 }
 
-function _check_prerequisites() {
-    let execSync = require('child_process').execSync;
-    let git_version = execSync('git --version').toString();
-    let npm_version = execSync('npm --version').toString();
+/**
+ * Returns the queued actions, in order of execution
+ *
+ * @returns {Object[]} - The { name, action, title, state, queued, started } of each action,
+ *                       state is either 'running' or 'pending', queued and started are ISO dates
+ */
+ApiExtensionInstaller.prototype.get_queue = function() {
+    return Object.keys(this.action_queue).map((name) => {
+        const action_props = this.action_queue[name];
 
-    if (git_version) {
-        git_version = git_version.split(" ")[2];
+        return {
+            name:    name,
+            action:  action_props.action,
+            title:   action_strings[action_props.action],
+            state:   (action_props.started ? 'running' : 'pending'),
+            queued:  action_props.queued,
+            started: action_props.started
+        };
+    });
+}
 
-        if (npm_version) {
-            return true;
-        }
+/**
+ * Cancels a queued action that hasn't been started yet, its promise gets rejected
+ *
+ * @param {String} name - The name of the extension
+ * @returns {Boolean} - True if cancelled
+ */
+ApiExtensionInstaller.prototype.cancel = function(name) {
+    const action_props = this.action_queue[name];
+
+    if (!action_props || action_props.started) {
+        return false;
     }
 
-    _set_status("Please install git and npm", true);
+    delete this.action_queue[name];
+    this._write_queue();
 
-    return false;
-}
+    if (name == MANAGER_NAME) {
+        this.self_update_pending = false;
+    }
 
-function _load_repository() {
-    const main_repo = extension_root + module_dir + REPOS_NAME + '/repository.json';
-    const local_repos = extension_root + repos_dir;
+    this._set_status("Cancelled: " + action_strings[action_props.action] + " " + name, false);
+    this._settle_action(name, new Error('Cancelled'));
 
-    repos.length = 0;       // Cleanup first
+    if (!Object.keys(this.action_queue).length) {
+        this.on_activity_changed && this.on_activity_changed();
+    }
 
-    repos.push(repos_system);
+    return true;
+}
 
-    _add_to_repository(main_repo);
+/**
+ * Replaces a queued action that hasn't been started yet, keeping its position in the queue,
+ * the promise of the replaced action gets rejected
+ *
+ * @param {String} name - The name of the extension
+ * @param {Number} action - The new action: install, update, uninstall or rollback
+ * @param {Object} [options] - The install options, as offered by get_actions
+ * @returns {Promise<String>} - Resolves with the result of the new action, rejects with an action error
+ */
+ApiExtensionInstaller.prototype.replace = function(name, action, options) {
+    const action_props = this.action_queue[name];
+    const actions = [ACTION_INSTALL, ACTION_UPDATE, ACTION_UNINSTALL, ACTION_ROLLBACK];
+    let cause;
+
+    if (!action_props) {
+        cause = new Error('Not queued');
+    } else if (action_props.started) {
+        cause = new Error('Already started');
+    } else if (!actions.includes(action)) {
+        cause = new Error('Not a queueable action: ' + action_strings[action]);
+    } else if (action == ACTION_UPDATE && !this.updates_list[name]) {
+        cause = new Error('No update available');
+    }
 
-    fs.readdir(local_repos, (err, files) => {
-        if (!err) {
-            for(let i = 0; i < files.length; i++) {
-                _add_to_repository(local_repos + files[i]);
-            };
-        }
+    if (cause) {
+        return Promise.reject(_create_action_error(action, name, cause));
+    }
 
-        if (repos.length) {
-            let values = [];
+    if (action_props.action != action) {
+        this._settle_action(name, new Error('Replaced by: ' + action_strings[action]));
+    }
 
-            // Collect extension categories
-            for (let i = 0; i < repos.length; i++) {
-                if (repos[i].display_name) {
-                    values.push({
-                        title: repos[i].display_name,
-                        value: i
-                    });
-                }
-            }
+    this.action_queue[name] = {
+        action:  action,
+        options: (action == ACTION_INSTALL ? options : undefined),
+        queued:  action_props.queued
+    };
+    this._write_queue();
 
-            npm_installed = _get_npm_installed_extensions(npm_installed);
-            console.log(npm_installed);
+    return this._wait_for_action(name, action);
+}
 
-            docker_installed = _get_docker_installed_extensions(docker_installed);
-            console.log(docker_installed);
+/**
+ * Moves a queued action that hasn't been started yet to another position in the queue
+ *
+ * @param {String} name - The name of the extension
+ * @param {Number} position - The new position among the pending actions, 0 is next in line
+ * @returns {Boolean} - True if moved
+ */
+ApiExtensionInstaller.prototype.move = function(name, position) {
+    const names = Object.keys(this.action_queue);
+    const running = names.filter((name) => this.action_queue[name].started);
+    let pending = names.filter((name) => !this.action_queue[name].started);
+    const index = pending.indexOf(name);
+
+    if (index < 0) {
+        return false;
+    }
 
-            _set_status("Extension Repository loaded", false);
+    pending.splice(index, 1);
+    pending.splice(Math.max(0, Math.min(position, pending.length)), 0, name);
 
-            _query_updates(() => {
-                repository_cb && repository_cb(values);
-            });
-        } else {
-            _set_status("Extension Repository not found", true);
+    // Rebuild the queue in the new order, the running action stays in front
+    const queue = this.action_queue;
 
-            repository_cb && repository_cb();
-        }
+    this.action_queue = {};
+    running.concat(pending).forEach((name) => {
+        this.action_queue[name] = queue[name];
     });
+    this._write_queue();
+
+    return true;
 }
 
-function _add_to_repository(file) {
-    if (file.includes('.json')) {
-        const new_repo = _read_JSON_file_sync(file);
+/**
+ * Registers an additional installer backend, next to the built-in npm and docker backends
+ *
+ * A backend handles the repository entries for which its get_name() returns a name and implements:
+ *   type                                    - Unique identifier, also used for the '<type>_install' feature
+ *   is_active()                             - Returns true if the backend is available for use
+ *   get_name(extension)                     - Returns the extension name of a repository entry, or undefined
+ *   get_installed()                         - Returns the installed extensions as name/version pairs
+ *   get_status(name)                        - Returns { state, version } of an installed extension
+ *   install(name, extension, props, cb)     - props: { root, options, container, version }, cb(err, version),
+ *                                             version is the pinned tag, commit or semver range, if any,
+ *                                             only passed to pinnable backends
+ *   update(name, extension, cb)             - cb(err, version), err.rolled_back if the previous version got restored
+ *   uninstall(name, cb)                     - cb(err)
+ *   start(name, fd, cb)                     - cb(code, signal, user) on process exit, if supported,
+ *                                             the docker backend doesn't report exits
+ *   stop(name, user, cb)                    - cb()
+ *   query_updates(cb, name)                 - cb(updates) with name/version pairs of available updates
+ * Optional:
+ *   pinnable                                - True if install honours the pinned version, pins are refused otherwise
+ *   get_install_options(extension)          - Returns the install options to present to the user
+ *   log(name, fd)                           - Captures the output of a running extension
+ *   get_snapshot(name)                      - Returns { version, date } of the version before the last update
+ *   rollback(name, cb)                      - Restores the version before the last update, cb(err, version)
+ *   get_update_info(name, extension, version, cb) - cb({ tags, commits, release_notes }) of an available update
+ *   abort()                                 - Kills the running operations, these fail with err.aborted set
+ *   verify_integrity(name, extension, integrity, cb) - Checks the installed version against the integrity
+ *                                             field of the repository entry, { commit } or { digest }, cb(err)
+ *   get_data_dir(name)                      - Returns the directory that holds the configuration of an extension
+ *   save_data(name, cb)                     - Brings the data directory up to date with the installed extension, cb(err)
+ *   restore_data(name, cb)                  - Applies the data directory to the installed extension, cb(err)
+ *
+ * @param {Object} backend - The backend to register
+ */
+ApiExtensionInstaller.prototype.register_backend = function(backend) {
+    this.other_backends.push(backend);
+    this._refresh_installed(backend);
 
-        if (new_repo) {
-            const npm_install_active    = (!features || features.npm_install != 'off');
-            const docker_install_active = (docker.get_status().version ? true : false);
+    if (this.repos.length) {
+        // Include the entries of the new backend
+        this._load_repository();
+    }
+}
 
-            for (let i = 0; i < new_repo.length; i++) {
-                let filtered = {
-                    display_name: new_repo[i].display_name,
-                    extensions: []
-                };
-                let j;
+/**
+ * Creates an archive of the log files
+ *
+ * @param {Function} [cb] - Called with the path of the archive
+ * @returns {Promise<String>} - Resolves with the path of the archive
+ */
+ApiExtensionInstaller.prototype.get_logs_archive = function(cb) {
+    const tar = require('tar');
+    const backup_file = this.extension_root + backup_dir + 'extension-logs.tar.gz';
+    const options = { file: backup_file, cwd: this.extension_root, gzip: true };
 
-                // Is the install type available and active?
+    return new Promise((resolve) => {
+        tar.create(options, [log_dir], () => {
+            cb && cb(backup_file);
+
+            resolve(backup_file);
+        });
+    });
+}
+
+/**
+ * Exports the configuration of an extension, as kept in its data directory, to an archive
+ *
+ * @param {String} name - The name of the extension
+ * @param {String} [file] - The path of the archive, defaults to <name>.config.tar.gz in the backup directory
+ * @returns {Promise<String>} - Resolves with the path of the archive
+ */
+ApiExtensionInstaller.prototype.export_configuration = function(name, file) {
+    const backend = this._get_backend(name);
+    // Scoped package names contain a slash
+    const archive = file || this.extension_root + backup_dir + name.replace('/', '+') + '.config.tar.gz';
+
+    return new Promise((resolve, reject) => {
+        if (!backend || !backend.get_data_dir) {
+            reject(new Error('Configuration not available: ' + name));
+        } else if (!this.is_idle(name)) {
+            reject(new Error('Action in progress: ' + name));
+        } else {
+            const save_data = (cb) => (backend.save_data ? backend.save_data(name, cb) : cb());
+
+            save_data((err) => {
+                const data_path = backend.get_data_dir(name);
+                const entries = (!err && fs.existsSync(data_path) ? fs.readdirSync(data_path) : []);
+
+                if (err) {
+                    reject(err);
+                } else if (!entries.length) {
+                    reject(new Error('Configuration not available: ' + name));
+                } else {
+                    const tar = require('tar');
+
+                    tar.create({ file: archive, cwd: data_path, gzip: true }, entries, (err) => {
+                        if (err) {
+                            reject(err);
+                        } else {
+                            this._set_status("Configuration exported: " + name, false);
+
+                            resolve(archive);
+                        }
+                    });
+                }
+            });
+        }
+    });
+}
+
+/**
+ * Imports the configuration of an extension from an archive created by export_configuration,
+ * a running extension gets restarted, for an extension that isn't installed yet the configuration
+ * gets applied during install
+ *
+ * @param {String} name - The name of the extension
+ * @param {String} file - The path of the archive
+ * @returns {Promise} - Resolves after the configuration got applied
+ */
+ApiExtensionInstaller.prototype.import_configuration = function(name, file) {
+    const installed_backend = this._get_backend(name);
+    const extension = this._get_extension(name);
+    const backend = installed_backend || (extension ? this._get_install_backend(extension) : undefined);
+
+    return new Promise((resolve, reject) => {
+        if (!backend || !backend.get_data_dir) {
+            reject(new Error('Configuration not supported: ' + name));
+        } else if (!this.is_idle(name)) {
+            reject(new Error('Action in progress: ' + name));
+        } else if (!fs.existsSync(file)) {
+            reject(new Error('File not found: ' + file));
+        } else {
+            this._replace_data(name, backend, { file: file }, [], (err) => {
+                if (err) {
+                    this._set_status("Configuration import failed: " + name, true);
+
+                    reject(err);
+                } else {
+                    this._set_status("Configuration imported: " + name, false);
+
+                    resolve();
+                }
+            });
+        }
+    });
+}
+
+/**
+ * Creates a backup of the installation: the installed extensions with their install type, version,
+ * pin, install options, process state and data, the features file and the local repositories in repos/.
+ * The system extensions are not included, these are part of every installation.
+ *
+ * @param {String} [file] - The path of the archive, defaults to extension-backup.tar.gz in the backup directory
+ * @returns {Promise<String>} - Resolves with the path of the archive
+ */
+ApiExtensionInstaller.prototype.create_backup = function(file) {
+    const archive = file || this.extension_root + backup_dir + 'extension-backup.tar.gz';
+    let extensions = [];
+
+    this._get_backends().forEach((backend) => {
+        for (const name in this.installed[backend.type]) {
+            const index_pair = this._get_index_pair(name);
+
+            if (index_pair && this.repos[index_pair[0]].display_name != SYSTEM_NAME) {
+                const status = this.get_status(name);
+
+                extensions.push({
+                    name:    name,
+                    type:    backend.type,
+                    version: status.version,
+                    pinned:  status.pinned,
+                    options: this.install_options[name],
+                    state:   status.state,
+                    logging: status.logging
+                });
+            }
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        if (!this.is_idle()) {
+            reject(new Error('Action in progress'));
+            return;
+        }
+
+        this._set_status("Creating backup...", false);
+
+        this._save_backup_data(extensions, 0, (err) => {
+            const tar = require('tar');
+            const manifest = {
+                created:    new Date().toISOString(),
+                extensions: extensions,
+                files:      ['features.json', repos_dir].filter((entry) => fs.existsSync(this.extension_root + entry))
+            };
+            const entries = [backup_dir + backup_manifest].concat(manifest.files, extensions
+                .filter((extension) => extension.data)
+                .map((extension) => extension.data));
+
+            if (!err) {
+                try {
+                    fs.writeFileSync(this.extension_root + backup_dir + backup_manifest, JSON.stringify(manifest, null, 4));
+                } catch (write_err) {
+                    err = write_err;
+                }
+            }
+
+            if (err) {
+                this._set_status("Backup failed", true);
+
+                reject(err);
+            } else {
+                tar.create({ file: archive, cwd: this.extension_root, gzip: true }, entries, (err) => {
+                    if (err) {
+                        this._set_status("Backup failed", true);
+
+                        reject(err);
+                    } else {
+                        this._set_status("Backup created: " + archive, false);
+
+                        resolve(archive);
+                    }
+                });
+            }
+        });
+    });
+}
+
+/**
+ * Brings the data directories of the extensions to back up up to date,
+ * the data property of an extension is set to its data directory, relative to the extension root
+ */
+ApiExtensionInstaller.prototype._save_backup_data = function(extensions, index, cb) {
+    if (index < extensions.length) {
+        const extension = extensions[index];
+        const backend = this._get_backend(extension.name);
+
+        if (backend && backend.get_data_dir) {
+            const save_data = (cb) => (backend.save_data ? backend.save_data(extension.name, cb) : cb());
+
+            save_data((err) => {
+                const data_path = backend.get_data_dir(extension.name);
+
+                if (err) {
+                    cb && cb(err);
+                } else {
+                    if (data_path.startsWith(this.extension_root) && fs.existsSync(data_path) &&
+                            fs.readdirSync(data_path).length) {
+                        extension.data = data_path.substring(this.extension_root.length);
+                    }
+
+                    this._save_backup_data(extensions, index + 1, cb);
+                }
+            });
+        } else {
+            this._save_backup_data(extensions, index + 1, cb);
+        }
+    } else {
+        cb && cb();
+    }
+}
+
+/**
+ * Restores a backup created by create_backup, for migration to another system:
+ * the features file and the local repositories get restored, after which the extensions
+ * are installed (pins included) or, if already installed, get their data restored.
+ * Extensions get installed with the install type and at the version of the backup,
+ * a mismatch is reported as failure.
+ * Some features only take effect after a restart.
+ *
+ * @param {String} file - The path of the archive
+ * @returns {Promise<Object>} - Resolves with the { restored, failed } extensions,
+ *                              failed lists the { name, error } of each extension that failed
+ */
+ApiExtensionInstaller.prototype.restore_backup = function(file) {
+    const tar = require('tar');
+    const manifest_file = this.extension_root + backup_dir + backup_manifest;
+
+    return new Promise((resolve, reject) => {
+        if (!this.is_idle()) {
+            reject(new Error('Action in progress'));
+        } else if (!fs.existsSync(file)) {
+            reject(new Error('File not found: ' + file));
+        } else {
+            const fail = (err) => {
+                this._set_status("Restore failed", true);
+
+                reject(err);
+            };
+
+            this._set_status("Restoring backup...", false);
+
+            fs.unlink(manifest_file, () => {
+                tar.extract({ file: file, cwd: this.extension_root }, [backup_dir + backup_manifest], (err) => {
+                    const manifest = (err ? undefined : utils.read_JSON_file_sync(manifest_file));
+
+                    if (!manifest || !Array.isArray(manifest.extensions) || !Array.isArray(manifest.files)) {
+                        fail(err || new Error('Not a backup: ' + file));
+                    } else {
+                        const files = manifest.files.filter((entry) => (entry == 'features.json' || entry == repos_dir));
+                        const extract = (cb) => (files.length ? tar.extract({ file: file, cwd: this.extension_root }, files, cb) : cb());
+
+                        extract((err) => {
+                            if (err) {
+                                fail(err);
+                            } else {
+                                if (files.includes('features.json')) {
+                                    this.features = utils.read_JSON_file_sync(this.extension_root + 'features.json');
+                                    if (this.features && this.features.timeouts) {
+                                        this.npm.set_timeouts(this.features.timeouts);
+                                        this.docker && this.docker.set_timeouts(this.features.timeouts);
+                                    }
+                                }
+
+                                const loaded = () => {
+                                    this.removeListener('repository:loaded', loaded);
+                                    this.removeListener('repository:failed', loaded);
+
+                                    this._restore_extensions(file, manifest.extensions, (result) => {
+                                        if (result.failed.length) {
+                                            const names = result.failed.map((failed) => failed.name);
+
+                                            this._set_status("Backup restored, failed: " + names.join(', '), true);
+                                        } else {
+                                            this._set_status("Backup restored", false);
+                                        }
+
+                                        resolve(result);
+                                    });
+                                };
+
+                                // Reload to include the restored repositories
+                                this.on('repository:loaded', loaded);
+                                this.on('repository:failed', loaded);
+                                this._load_repository();
+                            }
+                        });
+                    }
+                });
+            });
+        }
+    });
+}
+
+/**
+ * Restores the data of the extensions in a backup and installs the ones that aren't installed yet
+ */
+ApiExtensionInstaller.prototype._restore_extensions = function(file, extensions, cb) {
+    let result = {
+        restored: [],
+        failed:   []
+    };
+    let count = extensions.length;
+    const done = (name, err) => {
+        if (err) {
+            result.failed.push({ name: name, error: err });
+        } else {
+            result.restored.push(name);
+        }
+
+        if (--count == 0) {
+            cb && cb(result);
+        }
+    };
+
+    if (!count) {
+        cb && cb(result);
+        return;
+    }
+
+    extensions.forEach((extension) => {
+        const name = extension.name;
+        const entry = this._get_extension(name);
+        const backend = this._get_backend(name) || (entry ? this._get_install_backend(entry) : undefined);
+        const data_path = (backend && backend.get_data_dir ? backend.get_data_dir(name) : undefined);
+        const install = (cb) => {
+            // Install the version of the backup, the pin is temporary if it wasn't pinned
+            const version = extension.pinned || (backend.pinnable ? extension.version : undefined);
+            const unpin = () => (extension.pinned || this.unpin(name));
+
+            if (this._get_backend(name)) {
+                cb();
+            } else {
+                this.install(name, extension.options, version).then(() => {
+                    const installed = this._get_version(name);
+
+                    unpin();
+
+                    // Installed extensions get started, apply the state of the backup
+                    if (extension.state != 'running') {
+                        this._stop(name, true);
+                    } else if (extension.logging) {
+                        this._restart(name, true);
+                    }
+
+                    if (extension.version && installed != extension.version) {
+                        cb(new Error('Version mismatch: ' + name + ' is ' + installed + ', backup has ' + extension.version));
+                    } else {
+                        cb();
+                    }
+                }, (err) => {
+                    unpin();
+
+                    cb(err);
+                });
+            }
+        };
+
+        if (!backend) {
+            done(name, new Error('Not available: ' + name));
+        } else if (extension.type && backend.type != extension.type) {
+            done(name, new Error('Install type mismatch: ' + name + ' is a ' + backend.type +
+                                 ' install, backup has a ' + extension.type + ' install'));
+        } else if (extension.data && data_path == this.extension_root + extension.data &&
+                   /^[\w\-.~+@]+\/[^.\/][^\/]*\/$/.test(extension.data)) {
+            // Extract the data directory of the backup, like data/<name>/, into the same one of this system
+            const options = { file: file, strip: 2 };
+
+            this._replace_data(name, backend, options, [extension.data], (err) => {
+                err ? done(name, err) : install((err) => done(name, err));
+            });
+        } else {
+            install((err) => done(name, err));
+        }
+    });
+}
+
+/**
+ * Replaces the contents of the data directory of an extension with (part of) an archive,
+ * an installed extension gets stopped during replacement and restarted if it was running
+ *
+ * @param {String} name - The name of the extension
+ * @param {Object} backend - The backend that manages the extension, or is going to
+ * @param {Object} options - The tar extract options, file and optionally strip
+ * @param {String[]} paths - The paths in the archive to extract, all if empty
+ * @param {Function} cb - Called with an error if replacing failed
+ */
+ApiExtensionInstaller.prototype._replace_data = function(name, backend, options, paths, cb) {
+    const installed = (this._get_backend(name) === backend);
+    const running = (this.get_status(name).state == 'running');
+    const data_path = backend.get_data_dir(name);
+    const stop = (cb) => (installed ? this._stop(name, false, cb) : cb());
+
+    stop(() => {
+        utils.remove_dir(data_path, () => {
+            const mkdirp = require('mkdirp');
+
+            mkdirp(data_path, (err) => {
+                const tar = require('tar');
+                const done = (err) => {
+                    running && this._start(name);
+
+                    cb && cb(err);
+                };
+
+                if (err) {
+                    done(err);
+                } else {
+                    // Entries with absolute paths or .. get stripped by tar
+                    tar.extract(Object.assign({ cwd: data_path }, options), paths, (err) => {
+                        if (err || !installed || !backend.restore_data) {
+                            done(err);
+                        } else {
+                            backend.restore_data(name, done);
+                        }
+                    });
+                }
+            });
+        });
+    });
+}
+
+function _handle_signal(signal) {
+    _exit();
+}
+
+/**
+ * Closes all installers of the process, the initiating one included, and exits
+ */
+function _exit(initiator, exit_code, log) {
+    const closing = Array.from(instances);
+
+    if (initiator && !instances.has(initiator)) {
+        closing.push(initiator);
+    }
+
+    let pending = closing.length;
+
+    closing.forEach((instance) => {
+        instance._close(instance === initiator ? log : undefined, () => {
+            if (--pending == 0) {
+                process.exit(exit_code || (closing.some((instance) => instance.runner) ? 0 : 1));
+            }
+        });
+    });
+}
+
+function _is_valid_version(version) {
+    return (typeof version == 'string' && /^[\w.+\-^~<>=*|:\/ ]+$/.test(version));
+}
+
+function _create_action_pair(action) {
+    return {
+        title: action_strings[action],
+        value: action
+    };
+}
+
+/**
+ * Creates the error with which the promise of a failed action gets rejected
+ *
+ * @param {Number} action - The action that failed
+ * @param {String} name - The name of the extension
+ * @param {Error} [cause] - The underlying error
+ * @returns {Error} - Error with action, extension and cause properties
+ */
+function _create_action_error(action, name, cause) {
+    let err = new Error(action_strings[action] + ' failed: ' + name);
+
+    err.action = action;
+    err.extension = name;
+    err.cause = cause;
+
+    return err;
+}
+
+ApiExtensionInstaller.prototype._check_prerequisites = function() {
+    let execSync = (this.options.child_process || require('child_process')).execSync;
+    let git_version = execSync('git --version').toString();
+    let npm_version = execSync('npm --version').toString();
+
+    if (git_version) {
+        git_version = git_version.split(" ")[2];
+
+        if (npm_version) {
+            this.npm_version = npm_version.trim();
+
+            return true;
+        }
+    }
+
+    this._set_status("Please install git and npm", true);
+
+    return false;
+}
+
+ApiExtensionInstaller.prototype._load_repository = function() {
+    const main_repo = this.extension_root + module_dir + REPOS_NAME + '/repository.json';
+    const local_repos = this.extension_root + repos_dir;
+
+    this.repos.length = 0;       // Cleanup first
+    this.index_cache = {};
+    this.repository_errors = [];
+
+    this.repos.push({
+        display_name: repos_system.display_name,
+        extensions:   repos_system.extensions.slice()     // Keep the system repository unmodified
+    });
+
+    this._add_to_repository(main_repo);
+
+    fs.readdir(local_repos, (err, files) => {
+        if (!err) {
+            for(let i = 0; i < files.length; i++) {
+                this._add_to_repository(local_repos + files[i]);
+            };
+        }
+
+        this._fetch_remote_repositories((remote_files) => {
+            remote_files.forEach((file) => this._add_to_repository(file));
+
+            this._complete_repository_load();
+        });
+    });
+}
+
+ApiExtensionInstaller.prototype._complete_repository_load = function() {
+    if (this.repos.length) {
+        let values = [];
+
+        // Collect extension categories
+        for (let i = 0; i < this.repos.length; i++) {
+            if (this.repos[i].display_name) {
+                values.push({
+                    title: this.repos[i].display_name,
+                    value: i
+                });
+            }
+        }
+
+        this._get_backends().forEach((backend) => this._refresh_installed(backend));
+        console.log(this.installed);
+
+        this._set_status("Extension Repository loaded", false);
+        if (this.repository_errors.length) {
+            this._set_status("Extension Repository has errors, " + this.repository_errors.length + " skipped", true);
+        }
+
+        this.emit('repository:loaded', { categories: values, errors: this.repository_errors });
+
+        if (this.queue_journal) {
+            this._resume_queue();
+        }
+
+        if (!this.update_timer) {
+            this._start_update_schedule();
+        }
+
+        this._query_updates(() => {
+            this.repository_cb && this.repository_cb(values);
+        });
+    } else {
+        this._set_status("Extension Repository not found", true);
+        this.emit('repository:failed', {});
+
+        this.repository_cb && this.repository_cb();
+    }
+}
+
+/**
+ * Fetches the remote repositories, configured as a list of HTTPS URLs via repositories in the features file.
+ * A downloaded copy replaces the cached one only if it is valid JSON with a valid signature (if required),
+ * the cached copy is used if the remote repository is unchanged (ETag) or unavailable.
+ *
+ * @param {Function} cb - Called with the paths of the (cached) repository files
+ */
+ApiExtensionInstaller.prototype._fetch_remote_repositories = function(cb) {
+    const urls = (this.features && Array.isArray(this.features.repositories) ? this.features.repositories : []);
+    let files = [];
+    let pending = urls.length;
+
+    if (!pending || !this.extension_root) {
+        cb && cb(files);
+    } else {
+        const mkdirp = require('mkdirp');
+
+        mkdirp(this.extension_root + repos_cache_dir, (err) => {
+            if (err) {
+                console.error(err);
+            }
+
+            urls.forEach((url, index) => {
+                this._fetch_remote_repository(url, (file) => {
+                    files[index] = file;
+
+                    if (--pending === 0) {
+                        cb && cb(files.filter((file) => file));
+                    }
+                });
+            });
+        });
+    }
+}
+
+ApiExtensionInstaller.prototype._fetch_remote_repository = function(url, cb) {
+    const crypto = require('crypto');
+    const base = this.extension_root + repos_cache_dir + crypto.createHash('sha1').update(url).digest('hex');
+    const file = base + '.json';
+    const etag_file = base + '.etag';
+    const download_file = base + '.download.json';
+    const cached = fs.existsSync(file);
+    const fallback = () => {
+        if (cached) {
+            this._set_status("Repository unavailable, using cached copy: " + url, false);
+
+            cb && cb(file);
+        } else {
+            this._set_status("Repository unavailable: " + url, true);
+
+            cb && cb();
+        }
+    };
+    let headers = {};
+
+    if (!url.startsWith('https://')) {
+        this._set_status("Repository URL not secure: " + url, true);
+
+        cb && cb();
+        return;
+    }
+
+    if (cached && fs.existsSync(etag_file)) {
+        headers['If-None-Match'] = fs.readFileSync(etag_file, 'utf8');
+    }
+
+    utils.download(this.options.https, url, headers, (status, body, response_headers) => {
+        if (status == 304) {
+            cb && cb(file);
+        } else if (status != 200 || utils.parse_JSON(body) === undefined) {
+            console.error('Repository download failed: ' + url + ' (' + status + ')');
+
+            fallback();
+        } else {
+            const commit = () => {
+                // Replace the last good copy
+                fs.renameSync(download_file, file);
+
+                if (fs.existsSync(download_file + signature_ext)) {
+                    fs.renameSync(download_file + signature_ext, file + signature_ext);
+                }
+
+                if (response_headers.etag) {
+                    fs.writeFileSync(etag_file, response_headers.etag);
+                } else if (fs.existsSync(etag_file)) {
+                    fs.unlinkSync(etag_file);
+                }
+
+                cb && cb(file);
+            };
+
+            fs.writeFileSync(download_file, body);
+
+            if (this.features.repository_key) {
+                utils.download(this.options.https, url + signature_ext, {}, (status, signature) => {
+                    if (status == 200) {
+                        fs.writeFileSync(download_file + signature_ext, signature);
+                    }
+
+                    if (status == 200 && this._verify_signature(download_file)) {
+                        commit();
+                    } else {
+                        fs.unlinkSync(download_file);
+                        fs.existsSync(download_file + signature_ext) && fs.unlinkSync(download_file + signature_ext);
+
+                        fallback();
+                    }
+                });
+            } else {
+                commit();
+            }
+        }
+    });
+}
+
+ApiExtensionInstaller.prototype._add_to_repository = function(file) {
+    if (file.endsWith('.json')) {
+        const new_repo = (this._verify_signature(file) ? this._read_repository_file(file) : undefined);
+        const invalid = (new_repo !== undefined ? this._validate_repository(file, new_repo) : undefined);
+
+        if (invalid) {
+            const active_backends = this._get_backends().filter((backend) => this._is_active(backend));
+            const hide_incompatible = (this.features && this.features.incompatible == 'hide');
+
+            for (let i = 0; i < new_repo.length; i++) {
+                if (invalid[i] === true) {
+                    continue;       // Malformed category
+                }
+
+                let filtered = {
+                    display_name: new_repo[i].display_name,
+                    extensions: []
+                };
+                let j;
+
+                // Is the install type available and active?
                 for (j = 0; j < new_repo[i].extensions.length; j++) {
-                    if ((new_repo[i].extensions[j].repository && npm_install_active) ||
-                            (new_repo[i].extensions[j].image && docker_install_active)) {
-                        filtered.extensions.push(new_repo[i].extensions[j]);
+                    const extension = new_repo[i].extensions[j];
+
+                    if (invalid[i] && invalid[i][j]) {
+                        continue;   // Malformed entry
+                    }
+
+                    if (active_backends.some((backend) => backend.get_name(extension))) {
+                        const name = this._get_name(extension);
+                        const installed = active_backends.some((backend) => backend.get_installed()[name]);
+
+                        // Installed extensions stay manageable, also after an incompatible change
+                        if (hide_incompatible && !installed && this._get_incompatibility(extension)) {
+                            continue;
+                        }
+
+                        filtered.extensions.push(extension);
                     }
                 }
 
                 // Does category already exist?
-                for (j = 0; j < repos.length; j++) {
-                    if (repos[j].display_name == filtered.display_name) {
+                for (j = 0; j < this.repos.length; j++) {
+                    if (this.repos[j].display_name == filtered.display_name) {
                         break;
                     }
                 }
 
                 if (filtered.extensions.length) {
-                    if (j === repos.length) {
+                    if (j === this.repos.length) {
                         // New category
-                        repos.push(filtered);
+                        this.repos.push(filtered);
                     } else {
                         // Add to existing category
-                        repos[j].extensions = repos[j].extensions.concat(filtered.extensions);
+                        this.repos[j].extensions = this.repos[j].extensions.concat(filtered.extensions);
                     }
                 }
             }
@@ -550,39 +1806,269 @@ function _add_to_repository(file) {
     }
 }
 
-function _get_npm_installed_extensions(installed) {
-    let installed_extensions = {};
+/**
+ * Returns the errors found during the last repository load
+ *
+ * @returns {Object[]} - The { file, category, index, field, message } of each error,
+ *                       category and index are undefined for errors that concern the whole file
+ */
+ApiExtensionInstaller.prototype.get_repository_errors = function() {
+    return this.repository_errors;
+}
+
+ApiExtensionInstaller.prototype._read_repository_file = function(file) {
+    let parsed;
+
+    try {
+        parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        this._add_repository_error({ file: file, message: err.message });
+    }
+
+    return parsed;
+}
+
+ApiExtensionInstaller.prototype._add_repository_error = function(error) {
+    const location = [error.file];
+
+    if (error.category !== undefined) location.push('category ' + error.category);
+    if (error.index !== undefined) location.push('extension ' + error.index);
+    if (error.field) location.push(error.field);
+
+    console.error('Repository error: ' + location.join(', ') + ': ' + error.message);
+
+    this.repository_errors.push(error);
+}
+
+/**
+ * Validates the contents of a repository file against repository-schema.json, every error gets reported
+ *
+ * @param {String} file - Path of the repository file
+ * @param {Object[]} repo - The parsed repository file, its categories
+ * @returns {Object} - Per category index either true if the category is malformed,
+ *                     or an object with true per index of a malformed entry; undefined if the file is malformed
+ */
+ApiExtensionInstaller.prototype._validate_repository = function(file, repo) {
+    const schema = require('./repository-schema.json');
+    const errors = _validate_schema(repo, schema, schema, [], []);
+    let invalid = {};
+    let file_invalid = false;
+
+    for (let i = 0; i < errors.length; i++) {
+        const path = errors[i].path;
+        let error = { file: file, message: errors[i].message };
+
+        if (path.length > 2 && path[1] == 'extensions') {
+            // Malformed entry
+            error.category = path[0];
+            error.index = path[2];
+            error.field = path.slice(3).join('.') || undefined;
+
+            if (invalid[path[0]] !== true) {
+                invalid[path[0]] = invalid[path[0]] || {};
+                invalid[path[0]][path[2]] = true;
+            }
+        } else if (path.length) {
+            // Malformed category
+            error.category = path[0];
+            error.field = path.slice(1).join('.') || undefined;
+
+            invalid[path[0]] = true;
+        } else {
+            // Malformed file
+            file_invalid = true;
+        }
+
+        this._add_repository_error(error);
+    }
+
+    return (file_invalid ? undefined : invalid);
+}
+
+/**
+ * Verifies the detached signature of a repository file, if a public key is configured
+ * via repository_key in the features file (path to a PEM file, relative to the extension root).
+ * The signature is expected in a file with the .sig extension appended, base64 or binary encoded.
+ *
+ * @param {String} file - Path of the repository file
+ * @returns {Boolean} - True if no key is configured or the signature is valid
+ */
+ApiExtensionInstaller.prototype._verify_signature = function(file) {
+    const key_file = (this.features ? this.features.repository_key : undefined);
+
+    if (!key_file) {
+        return true;
+    }
+
+    const crypto = require('crypto');
+    const path = require('path');
+    let valid = false;
+
+    try {
+        const key = crypto.createPublicKey(fs.readFileSync(path.resolve(this.extension_root, key_file)));
+        const data = fs.readFileSync(file);
+        let signature = fs.readFileSync(file + signature_ext);
+        const text = signature.toString().trim();
+
+        if (/^[A-Za-z0-9+\/=\s]+$/.test(text)) {
+            signature = Buffer.from(text, 'base64');
+        }
+
+        // Ed25519 and Ed448 keys imply their own digest
+        const algorithm = (['ed25519', 'ed448'].includes(key.asymmetricKeyType) ? null : 'sha256');
+
+        valid = crypto.verify(algorithm, data, key, signature);
+    } catch (err) {
+        console.error(err.message);
+    }
+
+    if (!valid) {
+        this._set_status("Repository signature invalid: " + path.basename(file), true);
+    }
+
+    return valid;
+}
+
+/**
+ * Verifies the installed version of an extension against the integrity field of its repository entry,
+ * with the expected commit (npm) or image digest (docker)
+ *
+ * @param {String} name - The name of the extension
+ * @param {Object} backend - The backend that installed the extension
+ * @param {Function} cb - Called with an error that has the integrity property set, if verification failed
+ */
+ApiExtensionInstaller.prototype._verify_integrity = function(name, backend, cb) {
+    const extension = this._get_extension(name);
+    const integrity = (extension ? extension.integrity : undefined);
 
-    if (installed) {
-        for (const name in installed) {
-            // Only packages that are included in the repository
-            if (_get_index_pair(name)) {
-                installed_extensions[name] = installed[name];
+    if (!integrity) {
+        cb && cb();
+    } else {
+        const done = (err) => {
+            if (err) {
+                err.integrity = true;
+                this._set_status("Integrity check failed: " + name, true);
             }
+
+            cb && cb(err);
+        };
+
+        if (backend.verify_integrity) {
+            backend.verify_integrity(name, extension, integrity, done);
+        } else {
+            done(new Error('Integrity verification not supported for ' + backend.type + ' installs'));
+        }
+    }
+}
+
+ApiExtensionInstaller.prototype._get_backends = function() {
+    let backends = [];
+
+    this.npm && backends.push(this.npm);
+    this.docker && backends.push(this.docker);
+
+    return backends.concat(this.other_backends);
+}
+
+ApiExtensionInstaller.prototype._is_active = function(backend) {
+    return backend.is_active() && (!this.features || this.features[backend.type + '_install'] != 'off');
+}
+
+ApiExtensionInstaller.prototype._get_backend = function(name) {
+    const backends = this._get_backends();
+
+    for (let i = 0; i < backends.length; i++) {
+        if (this.installed[backends[i].type] && this.installed[backends[i].type][name]) {
+            return backends[i];
+        }
+    }
+
+    return undefined;
+}
+
+ApiExtensionInstaller.prototype._get_install_backend = function(extension) {
+    let backends = this._get_backends();
+
+    if (!this.npm_preferred) {
+        // Move npm to the back
+        backends = backends.filter((backend) => backend !== this.npm).concat(this.npm ? [this.npm] : []);
+    }
+
+    for (let i = 0; i < backends.length; i++) {
+        if (backends[i].get_name(extension)) {
+            return backends[i];
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Checks the compatibility constraints of a repository entry against the system:
+ *   engines  - The Node.js (node), npm (npm) and manager (manager) versions, as ranges,
+ *              node and npm only apply to npm installed extensions
+ *   os, cpu  - The supported platforms and architectures, a leading ! excludes
+ *
+ * @param {Object} extension - The repository entry
+ * @returns {String} - The reason why the extension can't be installed, undefined if compatible
+ */
+ApiExtensionInstaller.prototype._get_incompatibility = function(extension) {
+    const engines = extension.engines || {};
+    const backend = this._get_install_backend(extension);
+    const manager_version = this._get_version(MANAGER_NAME);
+
+    if (backend === this.npm) {
+        if (engines.node && !versions.satisfies(process.versions.node, engines.node)) {
+            return `Requires Node.js ${engines.node}, found ${process.versions.node}`;
+        }
+
+        if (engines.npm && this.npm_version && !versions.satisfies(this.npm_version, engines.npm)) {
+            return `Requires npm ${engines.npm}, found ${this.npm_version}`;
         }
     }
 
-    return installed_extensions;
+    if (engines.manager && manager_version && !versions.satisfies(manager_version, engines.manager)) {
+        return `Requires Extension Manager ${engines.manager}, found ${manager_version}`;
+    }
+
+    if (!_is_supported(extension.os, process.platform)) {
+        return `Not available for ${process.platform}`;
+    }
+
+    if (!_is_supported(extension.cpu, process.arch)) {
+        return `Not available for ${process.arch}`;
+    }
+
+    return undefined;
+}
+
+ApiExtensionInstaller.prototype._get_version = function(name) {
+    const backend = this._get_backend(name);
+
+    return (backend ? this.installed[backend.type][name] : undefined);
 }
 
-function _get_docker_installed_extensions(installed) {
+ApiExtensionInstaller.prototype._refresh_installed = function(backend) {
     let installed_extensions = {};
 
-    if (installed) {
-        for (const name in installed) {
-            // Only images that are included in the repository
-            if (_get_index_pair(name)) {
-                if (name == MANAGER_NAME) {
+    // The system extensions are npm installed, regardless of the npm_install feature
+    if (backend === this.npm || this._is_active(backend)) {
+        const backend_installed = backend.get_installed();
+
+        for (const name in backend_installed) {
+            // Only extensions that are included in the repository
+            if (!this.repos.length || this._get_index_pair(name)) {
+                if (backend !== this.npm && name == MANAGER_NAME) {
                     // Looks like we're running in a container
-                    containerized = true;
+                    this.containerized = true;
                 } else {
-                    installed_extensions[name] = installed[name];
+                    installed_extensions[name] = backend_installed[name];
                 }
             }
         }
     }
 
-    return installed_extensions;
+    this.installed[backend.type] = installed_extensions;
 }
 
 function _compare(a, b) {
@@ -595,752 +2081,949 @@ function _compare(a, b) {
     return 0;
 }
 
-function _get_name(extension) {
+ApiExtensionInstaller.prototype._get_name = function(extension) {
+    const backends = this._get_backends();
     let name;
 
-    if (extension.repository) {
-        // npm.get_name(extension.repository)
-        let substrings = extension.repository.url.split(':');
-
-        if (substrings && substrings[0] == 'https') {
-            substrings = substrings[1].split('.');
+    for (let i = 0; i < backends.length && !name; i++) {
+        name = backends[i].get_name(extension);
+    }
 
-            if (substrings[2].indexOf('git') === 0) {
-                substrings = substrings[1].split('/');
-                name = substrings[2];
-            }
+    if (name && extension.name && !extension.image) {
+        // Docker names the container after the image, an override would lose track of it
+        if (/^(@[\w\-.~]+\/)?[\w~][\w\-.~]*$/.test(extension.name)) {
+            // Explicitly specified name overrides the derived one
+            name = extension.name;
+        } else {
+            console.error('Invalid extension name: ' + extension.name);
         }
-    } else if (extension.image) {
-        name = docker.get_name(extension.image);
     }
 
     return name;
 }
 
-function _get_index_pair(name) {
-    let index_pair = index_cache[name];
+ApiExtensionInstaller.prototype._get_extension = function(name) {
+    const index_pair = this._get_index_pair(name);
 
-    if (!index_pair) {
-        for (let i = 0; i < repos.length; i++) {
-            const extensions = repos[i].extensions;
+    if (index_pair) {
+        return this.repos[index_pair[0]].extensions[index_pair[1]];
+    } else if (name == MANAGER_NAME) {
+        return repos_system.extensions[MANAGER_INDEX];
+    } else if (name == REPOS_NAME) {
+        return repos_system.extensions[REPOS_INDEX];
+    }
 
-            for (let j = 0; j < extensions.length; j++) {
-                const entry_name = _get_name(extensions[j]);
+    return undefined;
+}
 
-                index_cache[entry_name] = [i, j];
+/**
+ * Returns the names of the extensions that are required by an extension, via the requires field of its entry
+ */
+ApiExtensionInstaller.prototype._get_requirements = function(name) {
+    const extension = this._get_extension(name);
 
-                if (entry_name == name) {
-                    index_pair = index_cache[entry_name];
-                    break;
-                }
+    return (extension && Array.isArray(extension.requires) ? extension.requires : []);
+}
+
+/**
+ * Returns the names of the installed extensions that require an extension
+ */
+ApiExtensionInstaller.prototype._get_dependents = function(name) {
+    let dependents = [];
+
+    this._get_backends().forEach((backend) => {
+        for (const installed_name in this.installed[backend.type]) {
+            if (this._get_requirements(installed_name).includes(name)) {
+                dependents.push(installed_name);
             }
         }
-    }
+    });
 
-    return index_pair;
+    return dependents;
 }
 
-function _install(name, options, cb) {
-    if (name) {
-        let extension;
-
-        if (name == REPOS_NAME) {
-            // Repository not installed yet, access system repo directly
-            extension = repos_system.extensions[REPOS_INDEX];
-        } else {
-            const index_pair = _get_index_pair(name);
-
-            extension = repos[index_pair[0]].extensions[index_pair[1]];
-        }
+/**
+ * Returns true if an extension requires another one, directly or indirectly
+ */
+ApiExtensionInstaller.prototype._requires = function(name, required, visited) {
+    visited = visited || [];
 
-        _set_status("Installing: " + name + "...", false);
+    if (visited.includes(name)) {
+        return false;
+    }
 
-        if ((npm_preferred && extension.repository && extension.image) ||   // Both available, npm preferred
-                (extension.repository && !extension.image)) {               // Only npm available
-            // npm.install()
-            const exec = require('child_process').exec;
+    visited.push(name);
 
-            exec('npm install -g ' + extension.repository.url, (err, stdout, stderr) => {
-                if (err) {
-                    console.error(stderr);
+    return this._get_requirements(name).some((requirement) => {
+        return (requirement == required || this._requires(requirement, required, visited));
+    });
+}
 
-                    cb && cb(name, err);
-                } else {
-                    _post_install(name, undefined, cb);
-                }
-            });
-        } else if (extension.image) {                                       // Docker available
-            const bind_props = {
-                root:       extension_root,
-                binds_path: binds_dir + name,
-                name:       (containerized ? MANAGER_NAME : undefined)
-            };
+/**
+ * Queues the installs of the required extensions that aren't installed yet, the requirements of these first
+ */
+ApiExtensionInstaller.prototype._queue_requirements = function(name, visited) {
+    visited = visited || [name];
 
-            docker.install(extension.image, bind_props, options, (err, tag) => {
-                if (err) {
-                    _set_status("Installation failed: " + name, true);
-                    console.error(err);
-                } else {
-                    docker_installed[name] = tag;
-                }
+    this._get_requirements(name).forEach((required) => {
+        if (!visited.includes(required)) {
+            visited.push(required);
 
-                cb && cb(name);
-            });
+            if (!this._get_backend(required) && this._get_extension(required)) {
+                this._queue_requirements(required, visited);
+                this._queue_action(required, { action: ACTION_INSTALL });
+            }
         }
-    }
-}
-
-function _register_installed_version(name, err) {
-    _register_version(name, false, err);
+    });
 }
 
-function _register_updated_version(name, err) {
-    _register_version(name, true, err);
-}
+ApiExtensionInstaller.prototype._get_index_pair = function(name) {
+    let index_pair = this.index_cache[name];
 
-function _register_version(name, update, err) {
-    const version = npm_installed[name] || docker_installed[name];
+    if (!index_pair) {
+        for (let i = 0; i < this.repos.length; i++) {
+            const extensions = this.repos[i].extensions;
 
-    if (err) {
-        _set_status((update ? 'Update' : 'Installation') + ' failed: ' + name, true);
-    } else if (version) {
-        _set_status((update ? 'Updated: ' : 'Installed: ') + name + ' (' + version + ')', false);
+            for (let j = 0; j < extensions.length; j++) {
+                const entry_name = this._get_name(extensions[j]);
 
-        if (name == REPOS_NAME) {
-            if (!self_update_pending) {
-                _load_repository();
-            }
-        } else {
-            if (update) {
-                const state = ApiExtensionInstaller.prototype.get_status.call(this, name).state;
+                this.index_cache[entry_name] = [i, j];
 
-                if ((!self_update_pending || docker_installed[name]) && state != 'stopped') {
-                    _start(name);
+                if (entry_name == name) {
+                    index_pair = this.index_cache[entry_name];
+                    break;
                 }
-            } else {
-                _start(name, false);
             }
-
-            _query_updates(null, name);
         }
     }
 
-    // Update administration
-    _remove_action(name);
-    session_error = undefined;
+    return index_pair;
 }
 
-function _update(name, cb) {
+ApiExtensionInstaller.prototype._install = function(name, options, version, cb) {
     if (name) {
-        if (runner && name == MANAGER_NAME) {
-            _stop(name, false, _exit_for_update);
-        } else {
-            _stop(name, false, () => {
-                _set_status("Updating: " + name + "...", false);
+        const extension = this._get_extension(name);
+        const backend = (extension ? this._get_install_backend(extension) : undefined);
 
-                if (npm_installed[name]) {
-                    const cwd = extension_root + module_dir + name + '/';
-                    const backup_file = extension_root + backup_dir + name + '.tar';
-                    const options = { file: backup_file, cwd: cwd };
+        this._set_status("Installing: " + name + "...", false);
+        this.emit('install:start', { name: name });
 
-                    _backup(name, options, (clean) => {
-                        const exec = require('child_process').exec;
-                        exec('npm update -g ' + name, (err, stdout, stderr) => {
-                            if (err) {
-                                console.error(stderr);
+        const missing = this._get_requirements(name).filter((required) => {
+            // Mutually required extensions can't be installed one after the other
+            return !this._get_backend(required) && !this._requires(required, name);
+        });
+        const incompatibility = (extension ? this._get_incompatibility(extension) : undefined);
+
+        if (!extension) {
+            this._set_status("Installation failed: " + name + " is not in the repository", true);
+
+            cb && cb(name, new Error('Not in repository: ' + name));
+        } else if (incompatibility) {
+            this._set_status("Installation failed: " + name + " (" + incompatibility + ")", true);
+
+            cb && cb(name, new Error('Incompatible extension: ' + incompatibility));
+        } else if (missing.length) {
+            this._set_status("Installation failed: " + name + " requires " + missing.join(', '), true);
+
+            cb && cb(name, new Error('Required extension not installed: ' + missing.join(', ')));
+        } else if (backend && (version || this.pins[name]) && !backend.pinnable) {
+            this._set_status("Installation failed: " + name + " (pinning not supported for " + backend.type + " installs)", true);
+
+            cb && cb(name, new Error('Version pinning not supported for ' + backend.type + ' installs'));
+        } else if (backend) {
+            const props = {
+                root:      this.extension_root,
+                options:   options,
+                container: (this.containerized ? MANAGER_NAME : undefined),
+                version:   version || this.pins[name]
+            };
 
-                                cb && cb(name, err);
-                            } else {
-                                _post_install(name, (clean ? undefined : options), cb);
-                            }
-                        });
-                    });
-                } else if (docker_installed[name]) {
-                    docker.update(name, (err) => {
-                        if (err) {
-                            console.error(err);
-                        }
+            backend.install(name, extension, props, (err, version, peer_deps_installed) => {
+                this._refresh_installed(backend);
 
-                        cb && cb(name);
+                if (err) {
+                    cb && cb(name, err);
+                } else {
+                    this._verify_integrity(name, backend, (err) => {
+                        if (!err && peer_deps_installed && this.runner && name == MANAGER_NAME) {
+                            this._terminate(perform_restart, this.logging_active ? this.logs_list[MANAGER_NAME] : undefined);
+                        } else {
+                            cb && cb(name, err);
+                        }
                     });
                 }
             });
+        } else {
+            cb && cb(name, new Error('No installer available'));
         }
     }
 }
 
-function _post_install(name, options, cb) {
-    _query_installs((peer_deps) => {
-        if (peer_deps) {
-            _install_peer_dependency(name, peer_deps, peer_deps.length - 1, () => {
-                _read_npmignore(name, options, () => {
-                    if (runner && name == MANAGER_NAME) {
-                        _terminate(perform_restart, logging_active ? logs_list[MANAGER_NAME] : undefined);
-                    } else {
-                        cb && cb(name);
-                    }
-                });
-            });
-        } else {
-            _read_npmignore(name, options, cb);
-        }
-    }, name);   // Query installed extension to obtain version number
+ApiExtensionInstaller.prototype._register_installed_version = function(name, err) {
+    this._register_version(name, ACTION_INSTALL, err);
 }
 
-function _read_npmignore(name, options, cb) {
-    const npmignore = extension_root + module_dir + name + '/.npmignore';
+ApiExtensionInstaller.prototype._register_updated_version = function(name, err) {
+    this._register_version(name, ACTION_UPDATE, err);
+}
 
-    fs.readFile(npmignore, 'utf8', (err, data) => {
-        if (err) {
-            _download_gitignore(name, (data) => {
-                if (data) {
-                    fs.writeFileSync(npmignore, data);
-                }
+ApiExtensionInstaller.prototype._register_rolled_back_version = function(name, err) {
+    this._register_version(name, ACTION_ROLLBACK, err);
+}
 
-                _restore(name, options, cb);
-            });
-        } else {
-            _restore(name, options, cb);
+ApiExtensionInstaller.prototype._register_version = function(name, action, err) {
+    const failed_strings = { [ACTION_INSTALL]: 'Installation', [ACTION_UPDATE]: 'Update', [ACTION_ROLLBACK]: 'Rollback' };
+    const done_strings = { [ACTION_INSTALL]: 'Installed', [ACTION_UPDATE]: 'Updated', [ACTION_ROLLBACK]: 'Rolled back' };
+    const event = action_strings[action].toLowerCase();
+    const version = this._get_version(name);
+    let restart = false;
+
+    if (err) {
+        let reason = '';
+
+        if (err.timed_out) {
+            reason = ' (timed out)';
+        } else if (err.aborted) {
+            reason = ' (aborted)';
         }
-    });
-}
 
-function _backup(name, options, cb) {
-    fs.readFile(options.cwd + '.npmignore', 'utf8', (err, data) => {
-        if (err) {
-            // Working directory clean
-            cb && cb(true);
+        if (err.rolled_back) {
+            this._set_status(failed_strings[action] + ' failed: ' + name + reason + ', rolled back to ' + version, true);
+
+            restart = true;
         } else {
-            _create_archive(data, options, cb);
+            this._set_status(failed_strings[action] + ' failed: ' + name + reason, true);
         }
-    });
-}
+    } else if (version) {
+        this._set_status(done_strings[action] + ': ' + name + ' (' + version + ')', false);
 
-function _restore(name, options, cb) {
-    if (options) {
-        const tar = require('tar');
-        tar.extract(options, [], () => {
-            if (cb) {
-                cb(name);
+        if (name == REPOS_NAME) {
+            if (!this.self_update_pending) {
+                this._load_repository();
             }
-        });
-    } else if (cb) {
-        cb(name);
+        } else {
+            if (action == ACTION_INSTALL) {
+                this._start(name, false);
+            } else {
+                restart = true;
+            }
+
+            this._query_updates(null, name);
+        }
     }
-}
 
-function _download_gitignore(name, cb) {
-    const index_pair = _get_index_pair(name);
-    let git;
+    if (restart && name != REPOS_NAME) {
+        const state = this.get_status(name).state;
 
-    // Get git url from repository
-    if (index_pair) {
-        git = repos[index_pair[0]].extensions[index_pair[1]].repository.url;
-    } else if (name == MANAGER_NAME) {
-        git = repos_system.extensions[MANAGER_INDEX].repository.url;
-    } else if (name == REPOS_NAME) {
-        git = repos_system.extensions[REPOS_INDEX].repository.url;
+        if ((!this.self_update_pending || this._get_backend(name) !== this.npm) && state != 'stopped') {
+            this._start(name);
+        }
+    }
+
+    if (!err && !version) {
+        err = new Error('Version unknown');
     }
 
-    if (git && git.includes('github')) {
-        const https = require('https');
-        const parts = git.split('#');
-        let branch = 'master';
+    if (err) {
+        this.emit(event + ':failed', { name: name, error: err });
+    } else {
+        this.emit(event + ':done', { name: name, version: version });
+    }
 
-        if (parts.length > 1) {
-            branch = parts[1];
-        } else if (name == MANAGER_NAME) {
-            // Get committish from package.json
-            const package_json = _read_JSON_file_sync(extension_root + module_dir + name + '/package.json');
+    // Update administration
+    this._settle_action(name, err, version);
+    this._remove_action(name);
+    this.session_error = undefined;
 
-            if (package_json && package_json._requested && package_json._requested.gitCommittish) {
-                branch = package_json._requested.gitCommittish;
-            }
-        }
+    if (err && (err.peer_dependency || err.integrity) && !err.rolled_back && name != MANAGER_NAME) {
+        // Installation of peer dependency failed or unverified version kept: uninstall full package
+        this._queue_action(name, { action: ACTION_UNINSTALL });
+    }
+}
+
+ApiExtensionInstaller.prototype._update = function(name, cb) {
+    if (name) {
+        if (this.runner && name == MANAGER_NAME) {
+            this._stop(name, false, () => {
+                this._exit_for_update();
+            });
+        } else {
+            this._stop(name, false, () => {
+                const backend = this._get_backend(name);
+                const extension = this._get_extension(name);
 
-        let url = parts[0].replace('.git', '/' + branch + '/.gitignore');
-        url = url.replace('github', 'raw.githubusercontent');
-        console.log('url:', url);
+                this._set_status("Updating: " + name + "...", false);
+                this.emit('update:start', { name: name });
 
-        https.get(url, (response) => {
-            if (response.statusCode == 200) {
-                let body = "";
+                if (!extension) {
+                    cb && cb(name, new Error('Not in repository: ' + name));
+                } else if (backend) {
+                    backend.update(name, extension, (err) => {
+                        this._refresh_installed(backend);
 
-                response.on('data', (data) => {
-                    body += data;
-                });
-                response.on('end', () => {
-                    cb && cb(body);
-                });
-            } else {
-                if (response.statusCode == 404) {
-                    console.log('.gitignore file not found');
+                        if (err) {
+                            cb && cb(name, err);
+                        } else {
+                            this._verify_integrity(name, backend, (err) => {
+                                if (err && backend.rollback) {
+                                    // Don't keep an unverified version
+                                    backend.rollback(name, (rollback_err) => {
+                                        err.rolled_back = !rollback_err;
+                                        this._refresh_installed(backend);
+
+                                        cb && cb(name, err);
+                                    });
+                                } else {
+                                    cb && cb(name, err);
+                                }
+                            });
+                        }
+                    });
                 } else {
-                    console.error(data.toString());
+                    cb && cb(name, new Error('Not installed'));
                 }
-
-                cb && cb();
-            }
-        }).on('error', (err) => {
-            console.error(err);
-        });
+            });
+        }
     }
 }
 
-function _create_archive(data, options, cb) {
-    const tar = require('tar');
-    const lines = data.split('\n');
-    let globs = [];
+ApiExtensionInstaller.prototype._rollback = function(name, cb) {
+    if (name) {
+        this._stop(name, false, () => {
+            const backend = this._get_backend(name);
 
-    for (let i = 0; i < lines.length; i++) {
-        let line = lines[i].trim();
+            this._set_status("Rolling back: " + name + "...", false);
+            this.emit('rollback:start', { name: name });
 
-        if (line[line.length - 1] == '/') {
-            // Remove trailing slash
-            line = line.substring(0, line.length - 1);
-        }
+            if (!this._get_extension(name)) {
+                cb && cb(name, new Error('Not in repository: ' + name));
+            } else if (backend && backend.rollback) {
+                backend.rollback(name, (err) => {
+                    this._refresh_installed(backend);
 
-        if (line && line != 'node_modules' && line[0] != '#') {
-            if (fs.existsSync(options.cwd + line)) {
-                globs.push(line);
+                    cb && cb(name, err);
+                });
+            } else {
+                cb && cb(name, new Error('Rollback not supported'));
             }
-        }
-    }
-
-    if (globs.length) {
-        tar.create(options, globs, cb);
-    } else if (cb) {
-        cb(true);
+        });
     }
 }
 
-function _uninstall(name, cb) {
-    if (name) {
-        _stop(name, true, () => {
-            _set_status("Uninstalling: " + name + "...", false);
+ApiExtensionInstaller.prototype._uninstall = function(name, cb) {
+    const dependents = (name ? this._get_dependents(name) : []);
 
-            if (npm_installed[name]) {
-                // npm.uninstall
-                const exec = require('child_process').exec;
-                exec('npm uninstall -g ' + name, (err, stdout, stderr) => {
-                    cb && cb(name);
+    if (dependents.length) {
+        this._set_status("Uninstall failed: " + name + " is required by " + dependents.join(', '), true);
 
-                    console.log(npm_installed);
-                });
-            } else if (docker_installed[name]) {
-                docker.uninstall(name, (err, installed) => {
+        cb && cb(name, new Error('Required by: ' + dependents.join(', ')));
+    } else if (name) {
+        this._stop(name, true, () => {
+            const backend = this._get_backend(name);
+
+            this._set_status("Uninstalling: " + name + "...", false);
+            this.emit('uninstall:start', { name: name });
+
+            if (backend) {
+                backend.uninstall(name, (err) => {
                     if (err) {
-                        _set_status("Uninstall failed: " + name, true);
-                        console.error(err);
-                    } else {
-                        docker_installed = _get_docker_installed_extensions(installed);
+                        this._set_status("Uninstall failed: " + name, true);
                     }
 
-                    cb && cb(name);
+                    this._refresh_installed(backend);
+                    console.log(this.installed[backend.type]);
+
+                    cb && cb(name, err);
                 });
+            } else {
+                cb && cb(name, new Error('Not installed'));
             }
         });
     }
 }
 
-function _unregister_version(name) {
-    if (npm_installed[name]) {
-        delete npm_installed[name];
-        delete updates_list[name];
+ApiExtensionInstaller.prototype._unregister_version = function(name, err) {
+    if (!this._get_backend(name)) {
+        delete this.updates_list[name];
+
+        if (this.pins[name]) {
+            delete this.pins[name];
+            this._write_pins();
+        }
+
+        if (this.install_options[name]) {
+            delete this.install_options[name];
+            this._write_install_options();
+        }
+    }
+
+    if (err) {
+        this.emit('uninstall:failed', { name: name, error: err });
+    } else {
+        this._set_status("Uninstalled: " + name, false);
+        this.emit('uninstall:done', { name: name });
     }
 
-    _set_status("Uninstalled: " + name, false);
-    _remove_action(name);
-    session_error = undefined;
+    this._settle_action(name, err);
+    this._remove_action(name);
+    this.session_error = undefined;
 }
 
-function _get_log_descriptor(name) {
-    let descriptor = logs_list[name];
+ApiExtensionInstaller.prototype._get_log_descriptor = function(name) {
+    let descriptor = this.logs_list[name];
 
     // Get file descriptor if it hasn't been defined
     if (descriptor == undefined) {
-        const log_file = extension_root + log_dir + name + '.log';
+        const log_file = this.extension_root + log_dir + name + '.log';
 
         descriptor = fs.openSync(log_file, 'a');
-        logs_list[name] = descriptor;
+        this.logs_list[name] = descriptor;
     }
 
     return descriptor;
 }
 
-function _start(name, log) {
+ApiExtensionInstaller.prototype._start = function(name, log) {
     let fd;
 
     if (log === undefined) {
-        log = (logging_active && logs_list[name] !== undefined);
-    } else if (log === false && logs_list[name] === null) {
-        delete logs_list[name];     // Logging explicitly got deactivated
+        log = (this.logging_active && this.logs_list[name] !== undefined);
+    } else if (log === false && this.logs_list[name] === null) {
+        delete this.logs_list[name];     // Logging explicitly got deactivated
     }
 
     if (log) {
-        fd = _get_log_descriptor(name);
+        fd = this._get_log_descriptor(name);
     }
 
-    if (npm_installed[name]) {
-        // npm.start()
-        const cwd = extension_root + module_dir + name;
+    const backend = this._get_backend(name);
+
+    if (backend) {
+        backend.start(name, fd, (code, signal, user) => {
+            this.emit('process:exit', { name: name, code: code, signal: signal, user: !!user });
 
-        runner.start(name, cwd, '.', (fd ? fd : 'ignore'), (code, signal, user) => {
             if (user) {
-                _set_status("Stopped: " + name, false);
+                this._set_status("Stopped: " + name, false);
             } else if (code !== null) {
                 const WINDOWS_USER_BREAK = 3221225786;
 
-                _set_status("Process terminated: " + name + " (" + code +")", code && code != WINDOWS_USER_BREAK);
+                this._set_status("Process terminated: " + name + " (" + code +")", code && code != WINDOWS_USER_BREAK);
             } else if (signal) {
-                _set_status("Process terminated: " + name + " (" + signal +")", false);
+                this._set_status("Process terminated: " + name + " (" + signal +")", false);
             }
 
             // Close log file
-            if (logs_list[name]) {
-                fs.closeSync(logs_list[name]);
+            if (this.logs_list[name]) {
+                fs.closeSync(this.logs_list[name]);
                 if (user) {
-                    delete logs_list[name];
+                    delete this.logs_list[name];
                 } else {
-                    logs_list[name] = null;
+                    this.logs_list[name] = null;
                 }
             }
         });
-    } else if (docker_installed[name]) {
-        docker.start(name, fd);
     }
 
     if (log) {
-        _set_status("Started (with logging): " + name, false);
+        this._set_status("Started (with logging): " + name, false);
     } else {
-        _set_status("Started: " + name, false);
+        this._set_status("Started: " + name, false);
     }
+
+    this.emit('process:start', { name: name, logging: !!log });
 }
 
-function _restart(name, log) {
-    _stop(name, false, () => {
-        if (runner && name == MANAGER_NAME) {
-            _terminate(perform_restart, log);
+ApiExtensionInstaller.prototype._restart = function(name, log) {
+    this._stop(name, false, () => {
+        if (this.runner && name == MANAGER_NAME) {
+            this._terminate(perform_restart, log);
         } else {
-            _start(name, log);
+            this._start(name, log);
         }
     });
 }
 
-function _stop(name, user, cb) {
-    _set_status("Terminating process: " + name + "...", false);
-
-    if (npm_installed[name]) {
-        // npm.stop()
-        if (runner && runner.get_status(name) == 'running' && name != MANAGER_NAME) {
-            if (user) {
-                runner.stop(name, cb);
-            } else {
-                runner.terminate(name, cb);
-            }
-        } else if (cb) {
-            cb();
-        }
-    } else if (docker_installed[name]) {
-        if (user) {
-            docker.stop(name, () => {
-                _set_status("Stopped: " + name, false);
+ApiExtensionInstaller.prototype._stop = function(name, user, cb) {
+    this._set_status("Terminating process: " + name + "...", false);
+    this.emit('process:stop', { name: name, user: !!user });
 
-                cb && cb();
-            });
-        } else {
-            docker.terminate(name, () => {
-                _set_status("Process terminated: " + name, false);
+    const backend = this._get_backend(name);
 
-                cb && cb();
-            });
-        }
+    if (backend && name != MANAGER_NAME) {
+        backend.stop(name, user, cb);
+    } else {
+        // Not installed or the manager process itself, which is not under control of a backend
+        cb && cb();
     }
 }
 
-function _terminate(exit_code, log) {
-    if (logging_active) {
+/**
+ * Exits the process, after all installers of the process closed their logs
+ *
+ * @param {Number} [exit_code] - The exit code, defaults to 0 if a runner is used, 1 otherwise
+ * @param {Boolean} [log] - The logging state of the manager to store, as is if undefined
+ */
+ApiExtensionInstaller.prototype._terminate = function(exit_code, log) {
+    _exit(this, exit_code, log);
+}
+
+/**
+ * Stops the update schedule, closes the log files and stores which extensions are logging
+ *
+ * @param {Boolean} [log] - The logging state of the manager to store, as is if undefined
+ * @param {Function} cb - Called when ready to exit
+ */
+ApiExtensionInstaller.prototype._close = function(log, cb) {
+    if (this.update_timer) {
+        clearInterval(this.update_timer);
+        this.update_timer = undefined;
+    }
+
+    if (this.logging_active) {
         // Close log files
-        for (const name in logs_list) {
+        for (const name in this.logs_list) {
             if (name == MANAGER_NAME) {
                 process.stdout.write = stdout_write;
                 process.stderr.write = stderr_write;
 
-                if (write_stream) {
-                    write_stream.end();
+                if (this.write_stream) {
+                    this.write_stream.end();
                 }
             }
         }
 
         if (log !== undefined) {
             // Logging specified
-            if (log && !logs_list[MANAGER_NAME]) {
+            if (log && !this.logs_list[MANAGER_NAME]) {
                 // Switched on
-                logs_list[MANAGER_NAME] = null;
-            } else if (!log && logs_list[MANAGER_NAME]) {
+                this.logs_list[MANAGER_NAME] = null;
+            } else if (!log && this.logs_list[MANAGER_NAME]) {
                 // Switched off
-                delete logs_list[MANAGER_NAME];
+                delete this.logs_list[MANAGER_NAME];
             }
         }
 
         // Write names of logging extensions to file
-        fs.writeFileSync('logging.json', JSON.stringify(Object.keys(logs_list)));
+        if (this.extension_root) {
+            fs.writeFileSync(this.extension_root + logging_file, JSON.stringify(Object.keys(this.logs_list)));
+        }
+    }
+
+    if (this.runner) {
+        this.runner.prepare_exit(cb);
+    } else {
+        cb && cb();
+    }
+}
+
+/**
+ * Releases the installer from the process: it no longer handles the termination signals,
+ * the handlers get removed with the last installer, and its update schedule gets stopped
+ */
+ApiExtensionInstaller.prototype.close = function() {
+    if (this.update_timer) {
+        clearInterval(this.update_timer);
+        this.update_timer = undefined;
+    }
+
+    instances.delete(this);
+
+    if (!instances.size) {
+        process.removeListener('SIGTERM', _handle_signal);
+        process.removeListener('SIGINT', _handle_signal);
+        process.removeListener('SIGBREAK', _handle_signal);
     }
+}
+
+ApiExtensionInstaller.prototype._exit_for_update = function() {
+    this._terminate(perform_update);
+}
+
+ApiExtensionInstaller.prototype._wait_for_action = function(name, action) {
+    return new Promise((resolve, reject) => {
+        const queued = this.action_queue[name];
+
+        if (queued && queued.action != action) {
+            reject(_create_action_error(action, name, new Error('Pending action: ' + action_strings[queued.action])));
+        } else {
+            if (!this.action_waiters[name]) {
+                this.action_waiters[name] = [];
+            }
+
+            this.action_waiters[name].push({ action: action, resolve: resolve, reject: reject });
+        }
+    });
+}
+
+ApiExtensionInstaller.prototype._settle_action = function(name, err, result) {
+    const waiters = this.action_waiters[name];
 
-    if (runner) {
-        runner.prepare_exit(() => {
-            if (exit_code) {
-                process.exit(exit_code);
+    if (waiters) {
+        delete this.action_waiters[name];
+
+        for (let i = 0; i < waiters.length; i++) {
+            if (err) {
+                waiters[i].reject(_create_action_error(waiters[i].action, name, err));
             } else {
-                process.exit(0);
+                waiters[i].resolve(result);
             }
-        });
+        }
+    }
+}
+
+ApiExtensionInstaller.prototype._queue_action = function(name, action_props) {
+    if (this.action_queue[name]) {       // No action replace, use replace() for that
+        console.log("Already queued: " + name + " (" + action_strings[this.action_queue[name].action] + ")");
     } else {
-        if (exit_code) {
-            process.exit(exit_code);
-        } else {
-            process.exit(1);
+        action_props.queued = action_props.queued || new Date().toISOString();
+        this.action_queue[name] = action_props;
+        this._write_queue();
+
+        if (Object.keys(this.action_queue).length == 1) {
+            this.on_activity_changed && this.on_activity_changed();
         }
+
+        this._perform_action();
     }
 }
 
-function _exit_for_update() {
-    _terminate(perform_update);
+ApiExtensionInstaller.prototype._remove_action = function(name) {
+    delete this.action_queue[name];
+    this._write_queue();
+
+    this._perform_action();      // Anything pending?
 }
 
-function _handle_signal(signal) {
-    _terminate();
+/**
+ * Starts the queued actions for which capacity is available, the action_concurrency feature
+ * sets the number of actions that run in parallel (default 1). Actions of the npm backend
+ * operate on the global prefix and run one at a time, a manager update runs on its own.
+ */
+ApiExtensionInstaller.prototype._perform_action = function() {
+    const names = Object.keys(this.action_queue);
+
+    if (names.length) {
+        const concurrency = (this.features && this.features.action_concurrency >= 1 ? this.features.action_concurrency : 1);
+
+        for (let i = 0; i < names.length; i++) {
+            const name = names[i];
+            const action_props = this.action_queue[name];
+            // Determined per iteration, an action can complete synchronously
+            const running = Object.keys(this.action_queue).filter((name) => this.action_queue[name].started);
+
+            if (running.length >= concurrency || running.some((name) => this._is_exclusive_action(name))) {
+                break;
+            } else if (action_props && !action_props.started && !this._is_blocked_action(name)) {
+                if (this._is_exclusive_action(name)) {
+                    if (!running.length) {
+                        this._start_action(name);
+                    }
+
+                    break;
+                } else if (!this._is_serial_action(name) || !running.some((name) => this._is_serial_action(name))) {
+                    this._start_action(name);
+                }
+            }
+        }
+    } else {
+        this.on_activity_changed && this.on_activity_changed();
+    }
+}
+
+ApiExtensionInstaller.prototype._is_exclusive_action = function(name) {
+    return (name == MANAGER_NAME && this.action_queue[name].action == ACTION_UPDATE);
+}
+
+/**
+ * Returns true if the queued action has to wait for the actions of related extensions:
+ * an install waits for the installs of its requirements, an uninstall for the uninstalls of its dependents
+ */
+ApiExtensionInstaller.prototype._is_blocked_action = function(name) {
+    const action = this.action_queue[name].action;
+
+    if (action == ACTION_INSTALL) {
+        return this._get_requirements(name).some((required) => {
+            return this.action_queue[required] && !this._requires(required, name);
+        });
+    } else if (action == ACTION_UNINSTALL) {
+        return this._get_dependents(name).some((dependent) => {
+            return this.action_queue[dependent] && this.action_queue[dependent].action == ACTION_UNINSTALL;
+        });
+    }
+
+    return false;
+}
+
+/**
+ * Returns true if the queued action has to be serialised, which is the case for actions of the npm backend
+ * and actions of which the backend is unknown
+ */
+ApiExtensionInstaller.prototype._is_serial_action = function(name) {
+    let backend;
+
+    if (this.action_queue[name].action == ACTION_INSTALL) {
+        const extension = this._get_extension(name);
+
+        backend = (extension ? this._get_install_backend(extension) : undefined);
+    } else {
+        backend = this._get_backend(name);
+    }
+
+    return (!backend || backend === this.npm);
 }
 
-function _queue_action(name, action_props) {
-    if (!action_queue[name]) {      // No action replace
-        action_queue[name] = action_props;
+ApiExtensionInstaller.prototype._start_action = function(name) {
+    if (!this.session_error) {
+        // New session
+        this.session_error = false;
+    }
+
+    // Mark as started, for recovery in case of an exit halfway
+    this.action_queue[name].started = new Date().toISOString();
+    this._write_queue();
+
+    switch (this.action_queue[name].action) {
+        case ACTION_INSTALL: {
+            const options = this.action_queue[name].options;
+            const version = this.action_queue[name].version;
+
+            this._install(name, options, version, (name, err) => {
+                if (!err && version) {
+                    this.pin(name, version);
+                }
+
+                if (!err && options) {
+                    // Kept for restoring a backup
+                    this.install_options[name] = options;
+                    this._write_install_options();
+                }
 
-        if (Object.keys(action_queue).length == 1) {
-            on_activity_changed && on_activity_changed();
-            _perform_action();
+                this._register_installed_version(name, err);
+            });
+            break;
         }
+        case ACTION_UPDATE:
+            if (name == MANAGER_NAME) {
+                this._update(name);
+            } else {
+                this._update(name, (name, err) => {
+                    this._register_updated_version(name, err);
+                });
+            }
+            break;
+        case ACTION_UNINSTALL:
+            this._uninstall(name, (name, err) => {
+                this._unregister_version(name, err);
+            });
+            break;
+        case ACTION_ROLLBACK:
+            this._rollback(name, (name, err) => {
+                this._register_rolled_back_version(name, err);
+            });
+            break;
+        default:
+            // Not a session
+            this.session_error = undefined;
+            break;
     }
 }
 
-function _remove_action(name) {
-    delete action_queue[name];
+/**
+ * Journals the action queue, entries that await resumption are kept
+ */
+ApiExtensionInstaller.prototype._write_queue = function() {
+    if (this.extension_root) {
+        const journal = Object.assign({}, this.queue_journal, this.action_queue);
 
-    _perform_action();      // Anything pending?
+        fs.writeFileSync(this.extension_root + queue_file, JSON.stringify(journal));
+    }
 }
 
-function _perform_action() {
-    if (Object.keys(action_queue).length) {
-        const name = Object.keys(action_queue)[0];
+/**
+ * Queues the journaled actions again, skipping the ones that completed or became obsolete:
+ *   an install is resumed if not installed or if it got interrupted, actions are idempotent
+ *   an update or rollback is resumed if still installed, a manager update has been performed by the updater
+ *   an uninstall is resumed if still installed
+ */
+ApiExtensionInstaller.prototype._resume_queue = function() {
+    const journal = this.queue_journal;
+    let resumed = [];
+
+    this.queue_journal = undefined;
+
+    for (const name in journal) {
+        const action_props = journal[name];
+        const installed = (this._get_backend(name) !== undefined);
+        let resume = false;
 
-        if (!session_error) {
-            // New session
-            session_error = false;
+        if (!this._get_extension(name)) {
+            console.log("Not resumed, no longer in the repository: " + name);
+            continue;
         }
 
-        switch (action_queue[name].action) {
+        switch (action_props.action) {
             case ACTION_INSTALL:
-                _install(name, action_queue[name].options, _register_installed_version);
+                resume = (!installed || action_props.started);
                 break;
             case ACTION_UPDATE:
-                if (name == MANAGER_NAME) {
-                    _update(name);
-                } else {
-                    _update(name, _register_updated_version);
-                }
+            case ACTION_ROLLBACK:
+                resume = (installed && name != MANAGER_NAME);
                 break;
             case ACTION_UNINSTALL:
-                _uninstall(name, _unregister_version);
-                break;
-            default:
-                // Not a session
-                session_error = undefined;
+                resume = installed;
                 break;
         }
-    } else {
-        on_activity_changed && on_activity_changed();
+
+        if (resume && !this.action_queue[name]) {
+            delete action_props.started;
+            resumed.push(name);
+        }
+    }
+
+    if (resumed.length) {
+        this._set_status("Resuming interrupted actions: " + resumed.join(', '), false);
+
+        resumed.forEach((name) => this._queue_action(name, journal[name]));
     }
+
+    this._write_queue();
 }
 
-function _queue_updates(updates) {
+ApiExtensionInstaller.prototype._queue_updates = function(updates) {
     if (updates && Object.keys(updates).length) {
         for (const name in updates) {
             if (name == MANAGER_NAME) {
-                self_update_pending = true;     // Prevent extension restarts
+                this.self_update_pending = true;     // Prevent extension restarts
             } else {
-                _queue_action(name, { action: ACTION_UPDATE });
+                this._queue_action(name, { action: ACTION_UPDATE });
             }
         }
 
-        if (self_update_pending) {
+        if (this.self_update_pending) {
             // Perform manager actions last
-            if (runner && updates_list[UPDATER_NAME]) {
-                _queue_action(UPDATER_NAME, { action: ACTION_UPDATE });
+            if (this.runner && this.updates_list[UPDATER_NAME]) {
+                this._queue_action(UPDATER_NAME, { action: ACTION_UPDATE });
             }
-            _queue_action(MANAGER_NAME, { action: ACTION_UPDATE });
+            this._queue_action(MANAGER_NAME, { action: ACTION_UPDATE });
         }
     } else {
         console.log("No updates found");
     }
 }
 
-function _query_installs(cb, name) {
-    let command = 'npm list -g --depth=0';
+ApiExtensionInstaller.prototype._query_updates = function(cb, name) {
+    let results = {};
+    let backends;
+    let pending;
 
     if (name) {
-        command += ' ' + name;
-    }
+        const backend = this._get_backend(name);
 
-    const exec = require('child_process').exec;
-    exec(command, (err, stdout, stderr) => {
-        const lines = stdout.split('\n');
-        let peer_deps;
-        let other_error = false;
-
-        extension_root = lines[0] + '/';
-
-        if (name && err) {
-            const err_lines = stderr.split('\n');
+        backends = (backend ? [backend] : []);
+    } else {
+        backends = this._get_backends().filter((backend) => Object.keys(this.installed[backend.type] || {}).length);
+    }
 
-            for (let i = 0; i < err_lines.length; i++) {
-                const err_line = err_lines[i].split(': ');
+    pending = backends.length;
 
-                if (err_line[0] == 'npm ERR! peer dep missing' || err_line[0] == 'npm ERR! missing') {
-                    if (!peer_deps) peer_deps = {};
+    if (!pending) {
+        cb && cb(results);
+    }
 
-                    peer_deps[err_line[1].split(', ')[0]] = undefined;
-                } else if (err_lines[i]) {
-                    console.error(err_lines[i]);
-                    other_error = true;
+    backends.forEach((backend) => {
+        backend.query_updates((updates) => {
+            for (const update_name in updates) {
+                // Only extensions that are included in the repository and not pinned
+                if (this.installed[backend.type][update_name] && this._get_index_pair(update_name) &&
+                        !this.pins[update_name]) {
+                    results[update_name] = updates[update_name];
+                    this.updates_list[update_name] = updates[update_name];
                 }
             }
-        }
-
-        if (other_error) {
-            _set_status("Extension query failed", true);
-
-            cb && cb();
-        } else {
-            // Process global list output (npm list -g)
-            if (name) {
-                delete npm_installed[name];
-            } else {
-                npm_installed = {};
-            }
 
-            for (let i = 1; i < lines.length; i++) {
-                let name_version = lines[i].split(' ')[1];
-                if (name_version) {
-                    name_version = name_version.split('@');
-                    npm_installed[name_version[0]] = name_version[1];
+            if (--pending === 0) {
+                if (Object.keys(results).length) {
+                    this.emit('updates:found', { updates: results });
                 }
-            }
 
-            if (repos.length) {
-                // Only packages that are included in the repository
-                npm_installed = _get_npm_installed_extensions(npm_installed);
+                cb && cb(results);
             }
-
-            cb && cb(peer_deps ? Object.keys(peer_deps) : undefined);
-        }
+        }, name);
     });
 }
 
-function _install_peer_dependency(name, peer_deps, count, cb) {
-    const exec = require('child_process').exec;
-    const cwd = extension_root + module_dir + name;
-    const package_string = peer_deps[count];
+/**
+ * Starts the scheduler that checks for updates, configured via update_schedule in the features file:
+ *   interval     - Minutes between update checks, defaults to 60
+ *   window       - Time window in which updates are allowed, as 'HH:MM-HH:MM', can span midnight
+ *   days         - Days of the week on which updates are allowed, 0 is Sunday
+ *   exclude      - Names of the extensions that don't get updated automatically
+ *   notify_only  - Only report the available updates, don't apply them
+ * The scheduler is disabled if auto_update is 'off' or update_schedule isn't configured.
+ */
+ApiExtensionInstaller.prototype._start_update_schedule = function() {
+    const schedule = (this.features ? this.features.update_schedule : undefined);
+    const invalid = (schedule ? _get_schedule_error(schedule) : undefined);
 
-    _set_status("Installing peer dependency: " + package_string + "...", false);
+    if (invalid) {
+        this._set_status("Update schedule not started: " + invalid, true);
+    } else if (schedule && this.features.auto_update != 'off') {
+        const interval = (schedule.interval >= 1 ? schedule.interval : 60);
 
-    exec('npm install ' + package_string, { cwd: cwd }, (err, stdout, stderr) => {
-        if (err) {
-            console.error(stderr);
-            _set_status("Installation failed: " + package_string, true);
+        this.update_timer = setInterval(() => {
+            this._scheduled_update(schedule);
+        }, interval * 60 * 1000);
 
-            if (name != MANAGER_NAME) {
-                // Installation of peer dependency failed: uninstall full package
-                _remove_action(name);
-                _queue_action(name, { action: ACTION_UNINSTALL });
-            }
-        } else if (count) {
-            _install_peer_dependency(name, peer_deps, count - 1, cb);
-        } else {
-            cb && cb(name);
-        }
-    });
+        // Don't keep the process alive for the schedule only
+        this.update_timer.unref && this.update_timer.unref();
+    }
 }
 
-function _query_updates(cb, name) {
-    let results = {};
+ApiExtensionInstaller.prototype._scheduled_update = function(schedule, now) {
+    now = now || new Date();
 
-    if (Object.keys(docker_installed).length) {
-        docker.query_updates((updates) => {
-            for (const name in updates) {
-                // Only images that are included in the repository
-                if (name != MANAGER_NAME && _get_index_pair(name)) {
-                    results[name] = updates[name];
-                    updates_list[name] = updates[name];
-                }
-            }
-        }, name);
+    if (!this.is_idle() || !_in_update_window(schedule, now)) {
+        return;
     }
 
-    // npm.query_updates()
-    const exec = require('child_process').exec;
-    let command = 'npm outdated -g --depth=0';
+    this._query_updates((updates) => {
+        const exclude = schedule.exclude || [];
+        let selected = {};
 
-    if (name) {
-        command += ' ' + name;
-    }
-
-    exec(command, (err, stdout, stderr) => {
-        /* In npm 4.x the 'outdated' command has an exit code of 1 in case of outdated packages
-         * still the output is in stdout (stderr is empty), hence the check for stderr instead of err.
-         * Although old behavior (exit code of 0) may be selectable in future npm releases:
-         * https://github.com/npm/npm/pull/16703
-         * for compatibility it seems best to keep the stderr check.
-         */
-        if (stderr) {
-            _set_status("Updates query failed", true);
-            console.error(stderr);
-        } else if (stdout) {
-            const lines = stdout.split('\n');
-
-            for (let i = 1; i < lines.length && lines[i]; i++) {
-                const fields = lines[i].split(/[ ]+/);    // Split by space(s)
-                const update_name = fields[0];
-                const update_wanted = fields[2];
-
-                // Only packages that are included in the repository
-                if (_get_index_pair(update_name)) {
-                    results[update_name] = update_wanted;
-                    updates_list[update_name] = update_wanted;
-                }
-            }
-        } else {
-            /* In npm 7.x (at least 7.3.0) the 'outdated' command gives no output on git dependencies,
-            * this might be a bug as documentation still says that these are always reinstalled.
-            * The workaround is to take over the installed npm based extensions as these are all git dependencies.
-            */
-            if (name) {
-                results[name] = npm_installed[name];
-                updates_list[name] = npm_installed[name];
-            } else {
-                for (const name in npm_installed) {
-                    results[name] = npm_installed[name];
-                    updates_list[name] = npm_installed[name];
-                }
+        for (const name in updates) {
+            if (!exclude.includes(name)) {
+                selected[name] = updates[name];
             }
         }
 
-        if (cb) {
-            cb(results);
+        const names = Object.keys(selected);
+
+        if (!names.length) {
+            return;
+        }
+
+        if (schedule.notify_only) {
+            this._set_status("Updates available: " + names.join(', '), false);
+        } else {
+            this._set_status("Scheduled update: " + names.join(', '), false);
+            this._queue_updates(selected);
         }
     });
 }
 
-function _set_status(message, is_error) {
+ApiExtensionInstaller.prototype._write_pins = function() {
+    if (this.extension_root) {
+        fs.writeFileSync(this.extension_root + pins_file, JSON.stringify(this.pins));
+    }
+}
+
+ApiExtensionInstaller.prototype._write_install_options = function() {
+    if (this.extension_root) {
+        fs.writeFileSync(this.extension_root + install_options_file, JSON.stringify(this.install_options));
+    }
+}
+
+ApiExtensionInstaller.prototype._set_status = function(message, is_error) {
     const date = new Date();
 
     if (is_error) {
@@ -1349,29 +3032,147 @@ function _set_status(message, is_error) {
         console.log(date.toISOString(), '- Inf:', message);
     }
 
-    if (!session_error && status_cb) {
-        status_cb(message, is_error);
+    if (!this.session_error && this.status_cb) {
+        this.status_cb(message, is_error);
     }
 
-    if (session_error === false && is_error) {
-        session_error = true;
+    this.emit('status', { message: message, is_error: !!is_error });
+
+    if (this.session_error === false && is_error) {
+        this.session_error = true;
     }
 }
 
-function _read_JSON_file_sync(file) {
-    let parsed = undefined;
+/**
+ * Validates a value against a JSON schema, supports the subset of keywords used by repository-schema.json:
+ * type, required, properties, items, minLength, pattern and $ref to a definition
+ *
+ * @returns {Object[]} - The errors, each with the path to the offending value and a message
+ */
+function _validate_schema(value, schema, root, path, errors) {
+    if (schema.$ref) {
+        schema = root.definitions[schema.$ref.replace('#/definitions/', '')];
+    }
+
+    const types = [].concat(schema.type || []);
 
-    try {
-        parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
-    } catch (err) {
-        if (err.toString().includes('SyntaxError')) {
-            console.error(err);
-        } else if (err.code !== 'ENOENT') {
-            throw err;
+    if (types.length && !types.some((type) => _is_schema_type(value, type))) {
+        errors.push({ path: path, message: 'should be ' + types.join(' or ') });
+
+        return errors;
+    }
+
+    if (typeof value == 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push({ path: path, message: 'should not be shorter than ' + schema.minLength + ' characters' });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path: path, message: 'should match pattern ' + schema.pattern });
+        }
+    } else if (Array.isArray(value)) {
+        if (schema.items) {
+            for (let i = 0; i < value.length; i++) {
+                _validate_schema(value[i], schema.items, root, path.concat(i), errors);
+            }
+        }
+    } else if (_is_schema_type(value, 'object')) {
+        (schema.required || []).forEach((property) => {
+            if (value[property] === undefined) {
+                errors.push({ path: path.concat(property), message: 'is required' });
+            }
+        });
+
+        for (const property in schema.properties) {
+            if (value[property] !== undefined) {
+                _validate_schema(value[property], schema.properties[property], root, path.concat(property), errors);
+            }
         }
     }
 
-    return parsed;
+    return errors;
+}
+
+function _is_schema_type(value, type) {
+    switch (type) {
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return (value !== null && typeof value == 'object' && !Array.isArray(value));
+        case 'integer':
+            return Number.isInteger(value);
+        case 'null':
+            return (value === null);
+        default:
+            return (typeof value == type);
+    }
+}
+
+/**
+ * Checks the update schedule of the features file, to prevent errors on every check
+ *
+ * @returns {String} - The description of the error, undefined if valid
+ */
+function _get_schedule_error(schedule) {
+    const time = '([01]?\\d|2[0-3]):[0-5]\\d';
+
+    if (typeof schedule != 'object' || Array.isArray(schedule)) {
+        return 'update_schedule should be an object';
+    } else if (schedule.window !== undefined &&
+               !new RegExp('^\\s*' + time + '\\s*-\\s*' + time + '\\s*$').test(schedule.window)) {
+        return 'window should be HH:MM-HH:MM';
+    } else if (schedule.days !== undefined &&
+               (!Array.isArray(schedule.days) || !schedule.days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6))) {
+        return 'days should be an array of the numbers 0 (Sunday) to 6';
+    } else if (schedule.exclude !== undefined && !Array.isArray(schedule.exclude)) {
+        return 'exclude should be an array of extension names';
+    }
+
+    return undefined;
+}
+
+function _in_update_window(schedule, now) {
+    if (schedule.days && !schedule.days.includes(now.getDay())) {
+        return false;
+    }
+
+    if (schedule.window) {
+        const minutes = (time) => {
+            const parts = time.trim().split(':');
+
+            return parseInt(parts[0], 10) * 60 + (parseInt(parts[1], 10) || 0);
+        };
+        const bounds = schedule.window.split('-');
+        const start = minutes(bounds[0]);
+        const end = minutes(bounds[1]);
+        const current = now.getHours() * 60 + now.getMinutes();
+
+        if (start <= end) {
+            return (current >= start && current < end);
+        } else {
+            // Window spans midnight
+            return (current >= start || current < end);
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Checks a value against a list in the style of the os and cpu fields of package.json,
+ * entries starting with ! are excluded, if there are other entries the value has to be one of these
+ */
+function _is_supported(list, value) {
+    if (!Array.isArray(list) || !list.length) {
+        return true;
+    }
+
+    if (list.includes('!' + value)) {
+        return false;
+    }
+
+    const included = list.filter((entry) => !entry.startsWith('!'));
+
+    return (!included.length || included.includes(value));
 }
 
 exports = module.exports = ApiExtensionInstaller;
@@ -0,0 +1,73 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('assert');
+
+const { create_fakes, create_installer } = require('./fakes.js');
+
+function titles(installer, name) {
+    return installer.get_actions(name).actions.map((action) => action.title);
+}
+
+test('not installed extensions offer install, with the install options of the backend', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+
+    assert.deepEqual(installer.get_actions('roon-extension-test'), {
+        actions: [{ title: 'Install', value: 1 }],
+        options: undefined,
+        reason:  undefined
+    });
+    assert.deepEqual(installer.get_actions('roon-docker-test').options, { env: {} });
+
+    fakes.cleanup();
+});
+
+test('installed extensions offer actions according to their state', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+
+    await installer.install('roon-extension-test');
+
+    // Started after install
+    assert.equal(installer.get_status('roon-extension-test').state, 'running');
+    assert.deepEqual(titles(installer, 'roon-extension-test').slice(-4), ['Uninstall', 'Pin version', 'Restart', 'Stop']);
+
+    installer.perform_action(8, 'roon-extension-test');       // Stop
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.equal(installer.get_status('roon-extension-test').state, 'stopped');
+    assert.deepEqual(titles(installer, 'roon-extension-test').slice(-3), ['Uninstall', 'Pin version', 'Start']);
+
+    installer.pin('roon-extension-test', 'v0.1.0');
+
+    assert.ok(titles(installer, 'roon-extension-test').includes('Unpin version'));
+
+    fakes.cleanup();
+});
+
+test('available updates are offered first', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+
+    await installer.install('roon-extension-test');
+
+    fakes.npm.outdated['roon-extension-test'] = '0.2.0';
+    await new Promise((resolve) => installer._query_updates(resolve));
+
+    assert.deepEqual(installer.get_actions('roon-extension-test').actions[0], { title: 'Update', value: 2 });
+    assert.equal(await installer.update('roon-extension-test'), '0.2.0');
+
+    fakes.cleanup();
+});
+
+test('system extensions are not offered uninstall', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+
+    // Updates offered via the npm 7.x workaround, as npm outdated doesn't report on git dependencies
+    assert.deepEqual(titles(installer, 'roon-extension-manager'), ['Update']);
+    assert.deepEqual(titles(installer, 'roon-extension-repository'), ['Update']);
+
+    fakes.cleanup();
+});
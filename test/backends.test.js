@@ -0,0 +1,76 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('assert');
+
+const { create_fakes, create_installer, once } = require('./fakes.js');
+
+const URL = 'https://example.com/repository.json';
+
+function StubBackend() {
+    this.type = 'archive';
+    this.installed = {};
+    this.started = {};
+}
+
+StubBackend.prototype.is_active = () => true;
+StubBackend.prototype.get_name = (extension) => (extension.archive ? extension.archive.name : undefined);
+StubBackend.prototype.get_installed = function() {
+    return this.installed;
+};
+StubBackend.prototype.get_status = function(name) {
+    return {
+        state:   (this.installed[name] ? (this.started[name] ? 'running' : 'stopped') : 'not_installed'),
+        version: this.installed[name]
+    };
+};
+StubBackend.prototype.install = function(name, extension, props, cb) {
+    this.installed[name] = extension.archive.version;
+    setImmediate(() => cb(undefined, this.installed[name]));
+};
+StubBackend.prototype.update = function(name, extension, cb) {
+    setImmediate(() => cb(undefined, this.installed[name]));
+};
+StubBackend.prototype.uninstall = function(name, cb) {
+    delete this.installed[name];
+    setImmediate(() => cb());
+};
+StubBackend.prototype.start = function(name, fd, cb) {
+    this.started[name] = cb;
+};
+StubBackend.prototype.stop = function(name, user, cb) {
+    delete this.started[name];
+    setImmediate(() => cb());
+};
+StubBackend.prototype.query_updates = (cb) => setImmediate(() => cb({}));
+
+test('registered backends get their repository entries listed, installed and started', async () => {
+    const fakes = create_fakes();
+
+    fakes.served[URL] = { body: JSON.stringify([{
+        display_name: 'Archives',
+        extensions: [{
+            display_name: 'Archive Extension',
+            archive:      { name: 'roon-archive-test', version: '2.0.0' }
+        }]
+    }]) };
+
+    const installer = await create_installer(fakes, { repositories: [URL] });
+    const backend = new StubBackend();
+
+    installer.register_backend(backend);
+    await once(installer, 'repository:loaded');
+
+    assert.deepEqual(installer.search('archive').map((result) => result.value), ['roon-archive-test']);
+    assert.equal(await installer.install('roon-archive-test'), '2.0.0');
+    assert.equal(installer.get_status('roon-archive-test').state, 'running');
+    assert.ok(backend.started['roon-archive-test']);
+
+    const exit = once(installer, 'process:exit');
+
+    backend.started['roon-archive-test'](1, null);
+
+    assert.deepEqual(await exit, { name: 'roon-archive-test', code: 1, signal: null, user: false });
+
+    fakes.cleanup();
+});
@@ -0,0 +1,79 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+
+const { create_fakes, create_installer } = require('./fakes.js');
+
+async function create_backup(fakes) {
+    const installer = await create_installer(fakes);
+
+    await installer.install('roon-extension-test');
+    await installer.install('roon-docker-test', { env: { TZ: 'Europe/Amsterdam' } });
+
+    fs.writeFileSync(fakes.root + 'node_modules/roon-extension-test/config.json', '{"npm":true}');
+    fs.mkdirSync(fakes.root + 'binds/roon-docker-test', { recursive: true });
+    fs.writeFileSync(fakes.root + 'binds/roon-docker-test/config.json', '{"docker":true}');
+
+    return installer.create_backup(fakes.root + '../backup.tar.gz');
+}
+
+test('backups get restored with the install type and version of the backup', async () => {
+    const fakes = create_fakes();
+    const archive = await create_backup(fakes);
+    const target = create_fakes();
+
+    fs.copyFileSync(archive, target.root + '../backup.tar.gz');
+    fakes.cleanup();
+
+    const installer = await create_installer(target);
+    const result = await installer.restore_backup(target.root + '../backup.tar.gz');
+
+    assert.deepEqual(result.failed, []);
+    assert.deepEqual(result.restored.sort(), ['roon-docker-test', 'roon-extension-test']);
+    assert.ok(target.commands.some((command) => command.includes('roon-extension-test.git#semver:0.1.0')));
+
+    // The version of the backup doesn't stay pinned
+    assert.equal(installer.get_pin('roon-extension-test'), undefined);
+
+    assert.equal(fs.readFileSync(target.root + 'node_modules/roon-extension-test/config.json', 'utf8'), '{"npm":true}');
+    assert.equal(fs.readFileSync(target.root + 'binds/roon-docker-test/config.json', 'utf8'), '{"docker":true}');
+    assert.ok(!fs.existsSync(target.root + 'data/roon-docker-test'));
+
+    // The install options of the backup are used again
+    assert.deepEqual(target.docker.last_install.options, { env: { TZ: 'Europe/Amsterdam' } });
+
+    target.cleanup();
+});
+
+test('extensions with another install type than in the backup are reported', async () => {
+    const fakes = create_fakes();
+    const archive = await create_backup(fakes);
+    const target = create_fakes();
+    const tar = require('tar');
+    const manifest_file = fakes.root + 'backup/backup.json';
+
+    // Same extension, other install type
+    await tar.extract({ file: archive, cwd: fakes.root }, ['backup/backup.json']);
+
+    const manifest = JSON.parse(fs.readFileSync(manifest_file, 'utf8'));
+
+    manifest.extensions.forEach((extension) => {
+        extension.type = (extension.type == 'npm' ? 'docker' : 'npm');
+    });
+    fs.writeFileSync(manifest_file, JSON.stringify(manifest));
+    await tar.create({ file: target.root + '../backup.tar.gz', cwd: fakes.root, gzip: true },
+                     ['backup/backup.json', 'binds/roon-docker-test/']);
+    fakes.cleanup();
+
+    const installer = await create_installer(target);
+    const result = await installer.restore_backup(target.root + '../backup.tar.gz');
+
+    assert.deepEqual(result.restored, []);
+    assert.ok(result.failed.every((failed) => /Install type mismatch/.test(failed.error.message)));
+    assert.equal(installer.get_status('roon-docker-test').state, 'not_installed');
+    assert.ok(!fs.existsSync(target.root + 'data/roon-docker-test'));
+
+    target.cleanup();
+});
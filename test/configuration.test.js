@@ -0,0 +1,29 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+
+const { create_fakes, create_installer } = require('./fakes.js');
+
+test('exported configurations get applied again when imported before the install', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+    const config_file = fakes.root + 'node_modules/roon-extension-test/config.json';
+
+    await installer.install('roon-extension-test');
+    fs.writeFileSync(config_file, '{"zone":"Kitchen"}');
+
+    const archive = await installer.export_configuration('roon-extension-test', fakes.root + '../config.tar.gz');
+
+    await installer.uninstall('roon-extension-test');
+
+    assert.ok(!fs.existsSync(config_file));
+
+    await installer.import_configuration('roon-extension-test', archive);
+    await installer.install('roon-extension-test');
+
+    assert.equal(fs.readFileSync(config_file, 'utf8'), '{"zone":"Kitchen"}');
+
+    fakes.cleanup();
+});
@@ -0,0 +1,101 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('assert');
+
+const { create_fakes, create_installer } = require('./fakes.js');
+
+const EVENTS = [
+    'install:start', 'install:done', 'install:failed',
+    'update:start', 'update:done', 'update:failed',
+    'uninstall:start', 'uninstall:done', 'uninstall:failed',
+    'process:start', 'process:stop', 'process:exit'
+];
+
+function record(installer) {
+    let events = [];
+
+    EVENTS.forEach((event) => installer.on(event, (payload) => events.push([event, payload])));
+
+    return events;
+}
+
+test('installs and updates emit their lifecycle and process events in order', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+    const events = record(installer);
+    const name = 'roon-extension-test';
+
+    await installer.install(name);
+
+    fakes.npm.outdated[name] = '0.2.0';
+    await new Promise((resolve) => installer._query_updates(resolve));
+    await installer.update(name);
+
+    assert.deepEqual(events, [
+        ['install:start',  { name }],
+        ['process:start',  { name, logging: false }],
+        ['install:done',   { name, version: '0.1.0' }],
+        ['process:stop',   { name, user: false }],
+        ['process:exit',   { name, code: null, signal: 'SIGTERM', user: false }],
+        ['update:start',   { name }],
+        ['process:start',  { name, logging: false }],
+        ['update:done',    { name, version: '0.2.0' }]
+    ]);
+
+    fakes.cleanup();
+});
+
+test('processes report their exit code or signal and whether the user stopped them', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+    const name = 'roon-extension-test';
+
+    await installer.install(name);
+
+    const events = record(installer);
+
+    fakes.exit(name, 1, null);
+    installer.perform_action(4, name);      // Start
+    fakes.exit(name, null, 'SIGKILL');
+    installer.perform_action(4, name);
+    installer.perform_action(8, name);      // Stop
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.deepEqual(events, [
+        ['process:exit',  { name, code: 1, signal: null, user: false }],
+        ['process:start', { name, logging: false }],
+        ['process:exit',  { name, code: null, signal: 'SIGKILL', user: false }],
+        ['process:start', { name, logging: false }],
+        ['process:stop',  { name, user: true }],
+        ['process:exit',  { name, code: 0, signal: null, user: true }]
+    ]);
+    assert.equal(installer.get_status(name).state, 'stopped');
+
+    fakes.cleanup();
+});
+
+test('failed actions emit their failed event with the error', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+    const events = record(installer);
+    const name = 'roon-extension-test';
+
+    fakes.respond = (file, args) => (args.includes('install') ? { code: 1, stderr: 'npm ERR! failed' } : undefined);
+
+    await assert.rejects(installer.install(name));
+    await assert.rejects(installer.uninstall(name));
+
+    assert.deepEqual(events.map((event) => event[0]), [
+        'install:start',
+        'install:failed',
+        'process:stop',
+        'uninstall:start',
+        'uninstall:failed'
+    ]);
+    assert.equal(events[1][1].name, name);
+    assert.ok(events[1][1].error instanceof Error);
+    assert.equal(events[4][1].error.message, 'Not installed');
+
+    fakes.cleanup();
+});
@@ -0,0 +1,410 @@
+"use strict";
+
+// Offline replacements of npm, git, docker, https and the runner, passed to the installer via its options
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EventEmitter = require('events');
+
+const MANAGER_NAME = 'roon-extension-manager';
+const REPOS_NAME = 'roon-extension-repository';
+
+const repository = [{
+    display_name: 'Test',
+    extensions: [{
+        author:       'A',
+        display_name: 'Test Extension',
+        description:  'An npm installed extension',
+        tags:         ['audio'],
+        repository:   { type: 'git', url: 'https://github.com/owner/roon-extension-test.git' }
+    }, {
+        author:       'B',
+        display_name: 'Docker Extension',
+        description:  'A docker installed extension',
+        image:        { repo: 'owner/roon-docker-test' }
+    }]
+}];
+
+/**
+ * Creates a set of fakes operating on a temporary extension root
+ *
+ * The fake npm keeps its global packages in npm.globals and the available updates in npm.outdated,
+ * fakes.respond(file, args, options) can return an { stdout, stderr, code, killed } to override a command,
+ * commands that include fakes.hang never complete until killed.
+ * fakes.exit(name, code, signal) lets a process of the fake runner exit on its own.
+ */
+function create_fakes() {
+    const prefix = fs.mkdtempSync(path.join(os.tmpdir(), 'extension-installer-'));
+    const root = prefix + '/lib/';
+    const fakes = {
+        prefix:   prefix,
+        root:     root,
+        commands: [],
+        served:   {},
+        requests: [],
+        hang:     undefined,
+        respond:  undefined,
+        npm: {
+            version: '8.19.0',
+            globals: {},
+            outdated: {}
+        },
+        docker: {
+            installed: {},
+            digests:   [],
+            updates:   {}
+        },
+        running:    {},
+        installers: []
+    };
+
+    fakes.npm.globals[MANAGER_NAME] = '1.0.0';
+    fakes.npm.globals[REPOS_NAME] = '1.0.0';
+
+    fs.mkdirSync(root + 'node_modules/' + REPOS_NAME, { recursive: true });
+    fs.mkdirSync(root + 'node_modules/' + MANAGER_NAME, { recursive: true });
+    fs.writeFileSync(root + 'node_modules/' + MANAGER_NAME + '/.npmignore', 'config.json\n');
+    fs.writeFileSync(root + 'node_modules/' + REPOS_NAME + '/repository.json', JSON.stringify(repository));
+
+    fakes.run = (file, args, options) => _run(fakes, file, args, options);
+    fakes.child_process = _create_child_process(fakes);
+    fakes.https = _create_https(fakes);
+    fakes.Docker = _create_docker(fakes);
+    fakes.Runner = _create_runner(fakes);
+
+    fakes.cleanup = () => {
+        fakes.installers.forEach((installer) => installer.close());
+        fs.rmSync(prefix, { recursive: true, force: true });
+    };
+
+    return fakes;
+}
+
+/**
+ * Creates an installer on top of the fakes, with the runner in use
+ *
+ * @param {Object} fakes - The fakes, as created by create_fakes
+ * @param {Object} [features] - The contents of the features file
+ * @param {Boolean} [logging] - Enables logging
+ * @returns {Promise<Object>} - Resolves with the installer after the repository got loaded
+ */
+function create_installer(fakes, features, logging) {
+    const ApiExtensionInstaller = require('../lib.js');
+
+    if (features) {
+        fs.writeFileSync(fakes.root + 'features.json', JSON.stringify(features));
+    }
+
+    return new Promise((resolve) => {
+        let installer;
+        let loaded = false;
+
+        installer = new ApiExtensionInstaller({
+            repository_changed: () => {
+                if (!loaded) {
+                    loaded = true;
+                    setImmediate(() => resolve(installer));
+                }
+            }
+        }, !!logging, true, undefined, {
+            npm_prefix:    fakes.prefix,
+            child_process: fakes.child_process,
+            https:         fakes.https,
+            Docker:        fakes.Docker,
+            Runner:        fakes.Runner
+        });
+
+        fakes.installers.push(installer);
+    });
+}
+
+/**
+ * Resolves once the installer emitted an event
+ */
+function once(installer, event) {
+    return new Promise((resolve) => installer.once(event, resolve));
+}
+
+function _run(fakes, file, args, options) {
+    const operands = args.filter((arg, index) => !arg.startsWith('-') && args[index - 1] != '--prefix');
+    const globals = fakes.npm.globals;
+    const outdated = fakes.npm.outdated;
+
+    fakes.commands.push([file].concat(args).join(' '));
+
+    const response = fakes.respond && fakes.respond(file, args, options);
+
+    if (response) {
+        return response;
+    }
+
+    if (file == 'git') {
+        return { stdout: (args[0] == 'ls-remote' ? '' : 'git version 2.30.0\n') };
+    } else if (file == 'docker') {
+        return { stdout: JSON.stringify(fakes.docker.digests) };
+    }
+
+    switch (operands[0]) {
+        case undefined:
+            return { stdout: fakes.npm.version + '\n' };
+        case 'root': {
+            // The fake npm only knows about its own prefix
+            const index = args.indexOf('--prefix');
+
+            if (index >= 0 && args[index + 1] != fakes.prefix) {
+                return { code: 1, stderr: 'Unknown prefix' };
+            }
+
+            return { stdout: fakes.root + 'node_modules\n' };
+        }
+        case 'list': {
+            const dependencies = {};
+
+            (operands[1] ? [operands[1]] : Object.keys(globals)).forEach((name) => {
+                if (globals[name]) {
+                    dependencies[name] = { version: globals[name] };
+                }
+            });
+
+            return { stdout: JSON.stringify({ dependencies: dependencies }) };
+        }
+        case 'outdated': {
+            const result = {};
+
+            for (const name in outdated) {
+                if (!operands[1] || operands[1] == name) {
+                    result[name] = { current: globals[name], wanted: outdated[name], latest: outdated[name] };
+                }
+            }
+
+            // Exit code 1 in case of outdated packages
+            return { stdout: JSON.stringify(result), code: (Object.keys(result).length ? 1 : 0) };
+        }
+        case 'install': {
+            if (options && options.cwd) {
+                return { stdout: '' };      // Peer dependency
+            }
+
+            const url = operands[1].split('#');
+            const name = url[0].replace(/\.git$/, '').split('/').pop();
+            const package_json = { name: name, version: '0.1.0' };
+
+            if (/^[0-9a-f]{40}$/.test(url[1])) {
+                package_json.gitHead = url[1];
+            }
+
+            globals[name] = '0.1.0';
+            fs.mkdirSync(fakes.root + 'node_modules/' + name, { recursive: true });
+            fs.writeFileSync(fakes.root + 'node_modules/' + name + '/.npmignore', 'config.json\n');
+            fs.writeFileSync(fakes.root + 'node_modules/' + name + '/package.json', JSON.stringify(package_json));
+
+            return { stdout: '' };
+        }
+        case 'update':
+            if (outdated[operands[1]]) {
+                globals[operands[1]] = outdated[operands[1]];
+                delete outdated[operands[1]];
+            }
+
+            return { stdout: '' };
+        case 'uninstall':
+            delete globals[operands[1]];
+            fs.rmSync(fakes.root + 'node_modules/' + operands[1], { recursive: true, force: true });
+
+            return { stdout: '' };
+        default:
+            return { stdout: '' };
+    }
+}
+
+function _create_child_process(fakes) {
+    const exec_file = (file, args, options, cb) => {
+        const command = [file].concat(args).join(' ');
+        let timer;
+        const child = {
+            kill() {
+                clearTimeout(timer);
+                setImmediate(() => cb(Object.assign(new Error('Killed: ' + command), { killed: true, signal: 'SIGTERM' }), '', ''));
+            }
+        };
+
+        if (typeof options == 'function') {
+            cb = options;
+            options = undefined;
+        }
+
+        if (fakes.hang && command.includes(fakes.hang)) {
+            if (options && options.timeout) {
+                timer = setTimeout(() => child.kill(), options.timeout);
+            }
+        } else {
+            const result = fakes.run(file, args, options);
+            const err = (result.code ? Object.assign(new Error('Command failed: ' + command), { code: result.code }) : null);
+
+            setImmediate(() => cb(result.killed ? Object.assign(new Error('Killed'), { killed: true }) : err,
+                                  result.stdout || '', result.stderr || ''));
+            child.kill = () => {};
+        }
+
+        return child;
+    };
+
+    return {
+        execFile: exec_file,
+        execSync: (command) => {
+            const parts = command.split(' ');
+
+            return Buffer.from(fakes.run(parts[0], parts.slice(1)).stdout);
+        }
+    };
+}
+
+function _create_https(fakes) {
+    return {
+        get: (url, options, cb) => {
+            const request = new EventEmitter();
+            const served = fakes.served[url];
+
+            if (typeof options == 'function') {
+                cb = options;
+                options = {};
+            }
+
+            if (!String(url).startsWith('https:')) {
+                const err = new TypeError('Protocol "' + String(url).split('//')[0] + '" not supported. Expected "https:"');
+
+                err.code = 'ERR_INVALID_PROTOCOL';
+                throw err;
+            }
+
+            fakes.requests.push({ url: url, headers: (options && options.headers) || {} });
+
+            request.setTimeout = (timeout, on_timeout) => {
+                request.on_timeout = on_timeout;
+                return request;
+            };
+            request.abort = request.destroy = (err) => {
+                request.destroyed = true;
+                err && setImmediate(() => request.emit('error', err));
+            };
+
+            setImmediate(() => {
+                if (served === 'offline') {
+                    request.emit('error', new Error('getaddrinfo ENOTFOUND'));
+                } else if (served === 'hang') {
+                    request.on_timeout && request.on_timeout();
+                } else {
+                    const response = new EventEmitter();
+                    const headers = (options && options.headers) || {};
+
+                    response.statusCode = (served ? served.status || 200 : 404);
+                    response.headers = (served && served.headers) || {};
+                    response.resume = () => {};
+                    response.setEncoding = () => {};
+
+                    if (served && served.etag && headers['If-None-Match'] == served.etag) {
+                        response.statusCode = 304;
+                    } else if (served && served.etag) {
+                        response.headers.etag = served.etag;
+                    }
+
+                    cb(response);
+
+                    if (response.statusCode == 200 && served.body !== undefined) {
+                        response.emit('data', served.body);
+                    }
+                    response.emit('end');
+                }
+            });
+
+            return request;
+        }
+    };
+}
+
+function _create_docker(fakes) {
+    const installed = fakes.docker.installed;
+
+    function Docker(cb) {
+        setImmediate(() => cb(undefined, installed));
+    }
+
+    Docker.prototype.get_status = function(name) {
+        if (name === undefined) {
+            return { version: '20.10.0' };
+        }
+
+        return {
+            state:   (installed[name] ? (fakes.running[name] ? 'running' : 'stopped') : 'not_installed'),
+            version: installed[name]
+        };
+    };
+    Docker.prototype.get_name = (image) => image.repo.split('/')[1];
+    Docker.prototype.get_install_options = () => ({ env: {} });
+    Docker.prototype.install = (image, bind_props, options, cb) => {
+        const name = image.repo.split('/')[1];
+
+        installed[name] = image.tag || '1.0.0';
+        fakes.docker.last_install = { image: image, bind_props: bind_props, options: options };
+
+        setImmediate(() => cb(undefined, installed[name]));
+    };
+    Docker.prototype.update = (name, cb) => setImmediate(() => cb());
+    Docker.prototype.uninstall = (name, cb) => {
+        delete installed[name];
+        setImmediate(() => cb(undefined, installed));
+    };
+    Docker.prototype.start = (name) => {
+        fakes.running[name] = true;
+    };
+    Docker.prototype.stop = Docker.prototype.terminate = (name, cb) => {
+        delete fakes.running[name];
+        setImmediate(cb);
+    };
+    Docker.prototype.log = () => {};
+    Docker.prototype.query_updates = (cb) => setImmediate(() => cb(Object.assign({}, fakes.docker.updates)));
+
+    return Docker;
+}
+
+function _create_runner(fakes) {
+    const exit_cbs = {};
+
+    function Runner(name, cb) {
+        setImmediate(() => cb([]));
+    }
+
+    // A process that exited without being stopped by the user counts as terminated
+    Runner.prototype.get_status = (name) => {
+        return (fakes.running[name] ? 'running' : (fakes.running[name] === false ? 'terminated' : 'stopped'));
+    };
+    Runner.prototype.start = (name, cwd, entry, fd, cb) => {
+        fakes.running[name] = true;
+        exit_cbs[name] = cb;
+    };
+    Runner.prototype.stop = (name, cb) => {
+        delete fakes.running[name];
+        exit_cbs[name] && exit_cbs[name](0, null, true);
+        setImmediate(() => cb && cb());
+    };
+    Runner.prototype.terminate = (name, cb) => {
+        fakes.running[name] = false;
+        exit_cbs[name] && exit_cbs[name](null, 'SIGTERM', false);
+        setImmediate(() => cb && cb());
+    };
+    Runner.prototype.prepare_exit = (cb) => cb();
+
+    fakes.exit = (name, code, signal) => {
+        fakes.running[name] = false;
+        exit_cbs[name] && exit_cbs[name](code, signal, false);
+    };
+
+    return Runner;
+}
+
+module.exports = {
+    create_fakes:     create_fakes,
+    create_installer: create_installer,
+    once:             once
+};
@@ -0,0 +1,64 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+
+const { create_fakes, create_installer } = require('./fakes.js');
+
+test('installers with different npm prefixes keep their own state', async () => {
+    const first_fakes = create_fakes();
+    const second_fakes = create_fakes();
+    const first = await create_installer(first_fakes, undefined, true);
+    const second = await create_installer(second_fakes, undefined, true);
+
+    assert.notEqual(first.extension_root, second.extension_root);
+
+    await first.install('roon-extension-test');
+    assert.ok(first.pin('roon-extension-test', 'v0.1.0'));
+
+    assert.equal(first.get_status('roon-extension-test').state, 'running');
+    assert.equal(second.get_status('roon-extension-test').state, 'not_installed');
+    assert.equal(second.get_pin('roon-extension-test'), undefined);
+    assert.ok(first_fakes.commands.every((command) => !command.includes(second_fakes.prefix)));
+    assert.ok(second_fakes.commands.every((command) => !command.includes(first_fakes.prefix)));
+
+    first_fakes.cleanup();
+    second_fakes.cleanup();
+});
+
+test('termination signals close the logs of all installers before exiting', async () => {
+    const first_fakes = create_fakes();
+    const second_fakes = create_fakes();
+    const first = await create_installer(first_fakes, undefined, true);
+    const second = await create_installer(second_fakes, undefined, true);
+    const exit = process.exit;
+    let exit_codes = [];
+
+    await first.install('roon-extension-test');
+    first.perform_action(7, 'roon-extension-test');       // Restart and log
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.equal(first.get_status('roon-extension-test').logging, true);
+
+    process.exit = (code) => exit_codes.push(code);
+
+    try {
+        process.emit('SIGTERM', 'SIGTERM');
+        await new Promise((resolve) => setImmediate(resolve));
+    } finally {
+        process.exit = exit;
+    }
+
+    // One exit, with the runner in use
+    assert.deepEqual(exit_codes, [0]);
+    assert.deepEqual(JSON.parse(fs.readFileSync(first.extension_root + 'logging.json', 'utf8')), ['roon-extension-test']);
+    assert.deepEqual(JSON.parse(fs.readFileSync(second.extension_root + 'logging.json', 'utf8')), []);
+    assert.ok(!fs.existsSync('logging.json'));
+
+    first_fakes.cleanup();
+    second_fakes.cleanup();
+
+    // The signal handlers get removed with the last installer
+    assert.equal(process.listeners('SIGTERM').some((listener) => listener.name == '_handle_signal'), false);
+});
@@ -0,0 +1,134 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+
+const { create_fakes, create_installer, once } = require('./fakes.js');
+
+const COMMIT = '0123456789abcdef0123456789abcdef01234567';
+const DIGEST = 'sha256:' + 'ab'.repeat(32);
+
+function get_extension(installer, name) {
+    return installer._get_extension(name);
+}
+
+test('npm installs and updates check out the integrity commit before verification', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+    const url = 'https://github.com/owner/roon-extension-test.git#' + COMMIT;
+
+    get_extension(installer, 'roon-extension-test').integrity = { commit: COMMIT };
+
+    assert.equal(await installer.install('roon-extension-test'), '0.1.0');
+    assert.ok(fakes.commands.some((command) => command.includes('install') && command.includes(url)));
+
+    fakes.npm.outdated['roon-extension-test'] = '0.2.0';
+    await new Promise((resolve) => installer._query_updates(resolve));
+
+    fakes.commands.length = 0;
+    await installer.update('roon-extension-test');
+
+    assert.ok(fakes.commands.some((command) => command.includes('install') && command.includes(url)));
+    assert.ok(!fakes.commands.some((command) => command.includes(' update ')));
+
+    fakes.cleanup();
+});
+
+test('npm installs of another commit fail verification', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+
+    get_extension(installer, 'roon-extension-test').integrity = { commit: COMMIT };
+    fakes.respond = (file, args) => {
+        if (args.includes('install')) {
+            // The repository serves another commit
+            const dir = fakes.root + 'node_modules/roon-extension-test/';
+
+            fakes.npm.globals['roon-extension-test'] = '0.1.0';
+            fs.mkdirSync(dir, { recursive: true });
+            fs.writeFileSync(dir + 'package.json', JSON.stringify({ gitHead: 'f'.repeat(40) }));
+
+            return { stdout: '' };
+        }
+    };
+
+    await assert.rejects(installer.install('roon-extension-test'), (err) => {
+        return err.cause.integrity && /Commit mismatch/.test(err.cause.message);
+    });
+
+    // The unverified version doesn't stay installed
+    await once(installer, 'uninstall:done');
+    assert.equal(installer.get_status('roon-extension-test').state, 'not_installed');
+
+    fakes.cleanup();
+});
+
+test('docker installs pull the integrity digest before the installer pulls the tag', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+
+    get_extension(installer, 'roon-docker-test').integrity = { digest: DIGEST };
+    fakes.docker.digests = ['owner/roon-docker-test@' + DIGEST];
+
+    assert.equal(await installer.install('roon-docker-test'), '1.0.0');
+    assert.ok(fakes.commands.includes('docker pull owner/roon-docker-test@' + DIGEST));
+
+    fakes.cleanup();
+});
+
+test('docker installs of an image that is not available by digest fail before install', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+
+    get_extension(installer, 'roon-docker-test').integrity = { digest: DIGEST };
+    fakes.respond = (file, args) => (file == 'docker' && args[0] == 'pull' ? { code: 1, stderr: 'manifest unknown' } : undefined);
+
+    await assert.rejects(installer.install('roon-docker-test'), (err) => /Image not available/.test(err.cause.message));
+    assert.equal(fakes.docker.last_install, undefined);
+
+    fakes.cleanup();
+});
+
+test('docker updates that fail verification get uninstalled, as there is no rollback', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+
+    get_extension(installer, 'roon-docker-test').integrity = { digest: DIGEST };
+    fakes.docker.digests = ['owner/roon-docker-test@' + DIGEST];
+
+    await installer.install('roon-docker-test');
+
+    fakes.docker.digests = ['owner/roon-docker-test@sha256:' + 'cd'.repeat(32)];
+    fakes.docker.updates['roon-docker-test'] = '1.1.0';
+    await new Promise((resolve) => installer._query_updates(resolve));
+
+    const uninstalled = once(installer, 'uninstall:done');
+
+    await assert.rejects(installer.update('roon-docker-test'), (err) => /Digest mismatch/.test(err.cause.message));
+    await uninstalled;
+    assert.equal(installer.get_status('roon-docker-test').state, 'not_installed');
+
+    fakes.cleanup();
+});
+
+test('docker pulls time out and get aborted', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes, { timeouts: { install: 0.01 } });
+
+    get_extension(installer, 'roon-docker-test').integrity = { digest: DIGEST };
+    fakes.hang = 'docker pull';
+
+    await assert.rejects(installer.install('roon-docker-test'), (err) => err.cause.timed_out);
+
+    installer.docker.set_timeouts({ install: 600 });
+
+    const install = installer.install('roon-docker-test');
+
+    installer.abort();
+
+    await assert.rejects(install, (err) => err.cause.aborted);
+    assert.ok(installer.is_idle());
+
+    fakes.cleanup();
+});
@@ -0,0 +1,327 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('assert');
+
+const NpmBackend = require('../backends/npm.js');
+const { create_fakes } = require('./fakes.js');
+
+function create_backend(fakes) {
+    let statuses = [];
+
+    return new Promise((resolve) => {
+        const backend = new NpmBackend((message, is_error) => statuses.push({ message, is_error }), {
+            child_process: fakes.child_process,
+            https:         fakes.https
+        }, () => resolve({ backend, statuses }));
+    });
+}
+
+function query_installs(backend, name) {
+    return new Promise((resolve) => backend.query_installs(resolve, name));
+}
+
+function query_updates(backend, name) {
+    return new Promise((resolve) => backend.query_updates(resolve, name));
+}
+
+test('npm list output gets parsed into the installed packages', async () => {
+    const fakes = create_fakes();
+
+    fakes.npm.globals['roon-extension-test'] = '1.2.3';
+
+    const { backend } = await create_backend(fakes);
+
+    assert.equal(backend.get_root(), fakes.root);
+    assert.deepEqual(backend.get_installed(), {
+        'roon-extension-manager':    '1.0.0',
+        'roon-extension-repository': '1.0.0',
+        'roon-extension-test':       '1.2.3'
+    });
+    assert.deepEqual(backend.get_status('roon-extension-test'), { state: 'installed', version: '1.2.3' });
+    assert.deepEqual(backend.get_status('unknown'), { state: 'not_installed', version: undefined });
+
+    fakes.cleanup();
+});
+
+test('npm list of a single package with missing peer dependencies reports these', async () => {
+    const fakes = create_fakes();
+    const { backend } = await create_backend(fakes);
+
+    fakes.respond = (file, args) => {
+        if (args.includes('list')) {
+            return {
+                code:   1,
+                stdout: JSON.stringify({
+                    problems: [
+                        'peer dep missing: node-roon-api@^1.0.0, required by roon-extension-test@1.0.0',
+                        'extraneous: leftover@1.0.0'
+                    ],
+                    dependencies: { 'roon-extension-test': { version: '1.0.0' } }
+                })
+            };
+        }
+    };
+
+    assert.deepEqual(await query_installs(backend, 'roon-extension-test'), ['node-roon-api@^1.0.0']);
+    assert.equal(backend.get_installed()['roon-extension-test'], '1.0.0');
+
+    fakes.cleanup();
+});
+
+test('npm list errors leave the installed packages as is', async () => {
+    const fakes = create_fakes();
+    const { backend, statuses } = await create_backend(fakes);
+
+    fakes.respond = (file, args) => {
+        if (args.includes('list')) {
+            return { code: 1, stdout: JSON.stringify({ error: { code: 'ELSPROBLEMS', summary: 'broken' } }) };
+        }
+    };
+
+    assert.equal(await query_installs(backend), undefined);
+    assert.equal(backend.get_installed()['roon-extension-manager'], '1.0.0');
+    assert.deepEqual(statuses.pop(), { message: 'Extension query failed', is_error: true });
+
+    fakes.respond = (file, args) => (args.includes('list') ? { stdout: 'not json' } : undefined);
+
+    assert.equal(await query_installs(backend), undefined);
+    assert.equal(backend.get_installed()['roon-extension-manager'], '1.0.0');
+
+    fakes.cleanup();
+});
+
+test('npm outdated output gets parsed into the wanted versions, exit code 1 included (npm 4.x)', async () => {
+    const fakes = create_fakes();
+
+    fakes.npm.globals['roon-extension-test'] = '1.0.0';
+    fakes.npm.outdated['roon-extension-test'] = '1.1.0';
+
+    const { backend } = await create_backend(fakes);
+
+    assert.deepEqual(await query_updates(backend), { 'roon-extension-test': '1.1.0' });
+    assert.deepEqual(await query_updates(backend, 'roon-extension-test'), { 'roon-extension-test': '1.1.0' });
+
+    fakes.cleanup();
+});
+
+test('npm outdated without output takes over the installed git dependencies (npm 7.x)', async () => {
+    const fakes = create_fakes();
+
+    fakes.npm.globals['roon-extension-test'] = '1.0.0';
+
+    const { backend } = await create_backend(fakes);
+
+    fakes.respond = (file, args) => (args.includes('outdated') ? { stdout: '' } : undefined);
+
+    assert.deepEqual(await query_updates(backend, 'roon-extension-test'), { 'roon-extension-test': '1.0.0' });
+    assert.deepEqual(Object.keys(await query_updates(backend)).sort(), [
+        'roon-extension-manager',
+        'roon-extension-repository',
+        'roon-extension-test'
+    ]);
+
+    fakes.cleanup();
+});
+
+test('npm outdated errors report no updates', async () => {
+    const fakes = create_fakes();
+    const { backend, statuses } = await create_backend(fakes);
+
+    fakes.respond = (file, args) => {
+        if (args.includes('outdated')) {
+            return { code: 1, stdout: JSON.stringify({ error: { code: 'E404', summary: 'not found' } }) };
+        }
+    };
+
+    assert.deepEqual(await query_updates(backend), {});
+    assert.deepEqual(statuses.pop(), { message: 'Updates query failed', is_error: true });
+
+    fakes.cleanup();
+});
+
+test('npm runs without a shell on Windows, or with quoted arguments if the npm script is not found', async () => {
+    const platform = Object.getOwnPropertyDescriptor(process, 'platform');
+    const module_path = require.resolve('../backends/npm.js');
+    const fakes = create_fakes();
+    let calls = [];
+
+    Object.defineProperty(process, 'platform', { value: 'win32' });
+    delete require.cache[module_path];
+
+    try {
+        const WindowsNpmBackend = require('../backends/npm.js');
+        const exec_file = fakes.child_process.execFile;
+        const child_process = {
+            execFile: (file, args, options, cb) => {
+                calls.push({ file, args, shell: options.shell });
+
+                // Let the fake npm handle the command as if it was run directly
+                const npm_args = (file == process.execPath ? args.slice(1) : args.map((arg) => arg.slice(1, -1)));
+
+                return exec_file('npm', npm_args, options, cb);
+            }
+        };
+        const backend = await new Promise((resolve) => {
+            const backend = new WindowsNpmBackend(() => {}, { child_process }, () => resolve(backend));
+        });
+        const extension = { repository: { type: 'git', url: 'https://github.com/owner/roon-extension-test.git' } };
+
+        calls = [];
+        await new Promise((resolve) => backend.install('roon-extension-test', extension, { version: '>=1.0.0 <2.0.0' }, resolve));
+
+        const call = calls[0];
+        const url = 'https://github.com/owner/roon-extension-test.git#semver:>=1.0.0 <2.0.0';
+
+        if (call.file == process.execPath) {
+            assert.ok(call.args[0].endsWith('npm-cli.js'));
+            assert.ok(call.args.includes(url));
+            assert.ok(!call.shell);
+        } else {
+            assert.equal(call.file, 'npm.cmd');
+            assert.ok(call.args.includes('"' + url + '"'));
+            assert.ok(call.args.every((arg) => arg.startsWith('"') && arg.endsWith('"')));
+
+            // Characters that can't be quoted for cmd
+            const err = await new Promise((resolve) => backend._npm(['view', 'a%PATH%'], undefined, 'query', resolve));
+
+            assert.ok(/not allowed/.test(err.message));
+        }
+    } finally {
+        Object.defineProperty(process, 'platform', platform);
+        delete require.cache[module_path];
+        fakes.cleanup();
+    }
+});
+
+test('npm outdated that fails without output reports no updates', async () => {
+    const fakes = create_fakes();
+
+    fakes.npm.globals['roon-extension-test'] = '1.0.0';
+
+    const { backend, statuses } = await create_backend(fakes);
+
+    fakes.respond = (file, args) => (args.includes('outdated') ? { code: 1, stdout: '' } : undefined);
+
+    assert.deepEqual(await query_updates(backend), {});
+    assert.deepEqual(statuses.pop(), { message: 'Updates query failed', is_error: true });
+
+    // Timed out
+    fakes.respond = undefined;
+    fakes.hang = 'outdated';
+    backend.set_timeouts({ query: 0.01 });
+
+    assert.deepEqual(await query_updates(backend), {});
+    assert.deepEqual(statuses.pop(), { message: 'Updates query failed', is_error: true });
+
+    fakes.cleanup();
+});
+
+test('raw files get downloaded via relative redirects, but not via insecure ones and not without a timeout', async () => {
+    const fakes = create_fakes();
+    const { backend } = await create_backend(fakes);
+    const git = { host: 'github.com', path: 'owner/roon-extension-test' };
+    const url = 'https://raw.githubusercontent.com/owner/roon-extension-test/';
+    const download = (committish) => new Promise((resolve) => backend._download_file(git, committish, 'CHANGELOG.md', resolve));
+
+    fakes.served[url + 'v1/CHANGELOG.md'] = { status: 302, headers: { location: '../v2/CHANGELOG.md' } };
+    fakes.served[url + 'v2/CHANGELOG.md'] = { body: '# 2.0.0' };
+    fakes.served[url + 'v3/CHANGELOG.md'] = { status: 302, headers: { location: 'http://example.com/CHANGELOG.md' } };
+    fakes.served[url + 'v4/CHANGELOG.md'] = 'hang';
+
+    assert.equal(await download('v1'), '# 2.0.0');
+    assert.equal(await download('v3'), undefined);
+    assert.equal(await download('v4'), undefined);
+    assert.equal(await download('v5'), undefined);
+
+    fakes.cleanup();
+});
+
+test('extension names get taken from GitHub, GitLab, Bitbucket, generic and SSH git URLs', async () => {
+    const fakes = create_fakes();
+    const { backend } = await create_backend(fakes);
+    const get_name = (url) => backend.get_name({ repository: { type: 'git', url: url } });
+
+    assert.equal(get_name('https://github.com/owner/roon-extension-a.git'), 'roon-extension-a');
+    assert.equal(get_name('git+https://gitlab.com/group/subgroup/roon-extension-b'), 'roon-extension-b');
+    assert.equal(get_name('git+ssh://git@bitbucket.org/owner/roon-extension-c.git#v1.0.0'), 'roon-extension-c');
+    assert.equal(get_name('git@git.example.com:owner/roon-extension-d.git'), 'roon-extension-d');
+    assert.equal(get_name('github:owner/roon-extension-e'), 'roon-extension-e');
+    assert.equal(get_name('https://git.example.com/owner/roon-extension-f/'), 'roon-extension-f');
+
+    assert.equal(get_name('https://github.com/roon-extension-g'), undefined);     // No owner
+    assert.equal(get_name('https://github.com/owner/-rf'), undefined);
+    assert.equal(get_name('-c core.sshCommand=x:owner/repo'), undefined);
+    assert.equal(backend.get_name({ image: { repo: 'owner/roon-docker-test' } }), undefined);
+
+    fakes.cleanup();
+});
+
+test('raw files get downloaded from the host of the git URL', async () => {
+    const fakes = create_fakes();
+    const { backend } = await create_backend(fakes);
+    const download_gitignore = (url) => new Promise((resolve) => {
+        backend._get_gitignore('roon-extension-x', { repository: { type: 'git', url: url } }, resolve);
+    });
+
+    const urls = [
+        'https://raw.githubusercontent.com/owner/roon-extension-x/v1.0.0/.gitignore',
+        'https://gitlab.com/group/sub/roon-extension-x/-/raw/main/.gitignore',
+        'https://bitbucket.org/owner/roon-extension-x/raw/HEAD/.gitignore'
+    ];
+
+    urls.forEach((url) => {
+        fakes.served[url] = { body: 'config.json\n' };
+    });
+
+    assert.equal(await download_gitignore('https://github.com/owner/roon-extension-x.git#v1.0.0'), 'config.json\n');
+    assert.equal(await download_gitignore('git@gitlab.com:group/sub/roon-extension-x.git#main'), 'config.json\n');
+    assert.equal(await download_gitignore('git+ssh://git@bitbucket.org/owner/roon-extension-x.git'), 'config.json\n');
+    assert.deepEqual(fakes.requests.map((request) => request.url), urls);
+
+    fakes.cleanup();
+});
+
+test('git URLs get installed only in the allowed forms', async () => {
+    const fakes = create_fakes();
+    const { backend } = await create_backend(fakes);
+    const install = (url) => new Promise((resolve) => {
+        backend.install('roon-extension-test', { repository: { type: 'git', url: url } }, {}, (err) => resolve(err));
+    });
+    const allowed = [
+        'https://github.com/owner/roon-extension-test.git',
+        'git+https://gitlab.com/group/roon-extension-test#v1.0.0',
+        'git+ssh://git@bitbucket.org/owner/roon-extension-test.git',
+        'ssh://git@git.example.com:2222/owner/roon-extension-test.git',
+        'git://git.example.com/owner/roon-extension-test.git',
+        'git@github.com:owner/roon-extension-test.git',
+        'github:owner/roon-extension-test',
+        'gitlab:owner/roon-extension-test',
+        'bitbucket:owner/roon-extension-test'
+    ];
+    const rejected = [
+        'file:///tmp/roon-extension-test',
+        'ext::sh -c touch% /tmp/pwned',
+        'http://github.com/owner/roon-extension-test.git',
+        'git+file:///tmp/roon-extension-test',
+        'ftp://example.com/roon-extension-test.git',
+        '/tmp/roon-extension-test',
+        '--upload-pack=touch:owner/repo',
+        'owner/roon-extension-test',
+        'https://github.com/owner/roon-extension-test.git#$(reboot)'
+    ];
+
+    for (const url of allowed) {
+        const err = await install(url);
+
+        assert.ok(!err || !/Invalid repository URL/.test(err.message), url);
+    }
+
+    for (const url of rejected) {
+        const err = await install(url);
+
+        assert.ok(err && /Invalid repository URL/.test(err.message), url);
+    }
+
+    fakes.cleanup();
+});
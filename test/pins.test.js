@@ -0,0 +1,102 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+
+const { create_fakes, create_installer } = require('./fakes.js');
+
+function titles(installer, name) {
+    return installer.get_actions(name).actions.map((action) => action.title);
+}
+
+test('pinned extensions get installed at the pinned version and are excluded from updates', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+
+    assert.equal(installer.pin('roon-extension-test', '^1.2.0'), true);
+    assert.deepEqual(JSON.parse(fs.readFileSync(fakes.root + 'pins.json', 'utf8')), { 'roon-extension-test': '^1.2.0' });
+
+    await installer.install('roon-extension-test');
+
+    assert.ok(fakes.commands.some((command) => {
+        return command.includes('https://github.com/owner/roon-extension-test.git#semver:^1.2.0');
+    }));
+
+    fakes.npm.outdated['roon-extension-test'] = '1.3.0';
+    await new Promise((resolve) => installer._query_updates(resolve));
+
+    assert.equal(installer.get_status('roon-extension-test').pinned, '^1.2.0');
+    assert.ok(!titles(installer, 'roon-extension-test').includes('Update'));
+
+    installer.unpin('roon-extension-test');
+    await new Promise((resolve) => installer._query_updates(resolve));
+
+    assert.equal(installer.get_pin('roon-extension-test'), undefined);
+    assert.deepEqual(titles(installer, 'roon-extension-test').slice(0, 1), ['Update']);
+
+    fakes.cleanup();
+});
+
+test('invalid versions are not pinned', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+
+    assert.equal(installer.pin('roon-extension-test', 'v1; rm -rf'), false);
+    assert.equal(installer.get_pin('roon-extension-test'), undefined);
+
+    fakes.cleanup();
+});
+
+test('docker installs are not pinnable', async () => {
+    const fakes = create_fakes();
+
+    fs.writeFileSync(fakes.root + 'pins.json', JSON.stringify({ 'roon-docker-test': '1.0.0' }));
+
+    const installer = await create_installer(fakes);
+
+    // Pinned before, the pin can't be honoured
+    await assert.rejects(installer.install('roon-docker-test'), (err) => /pinning not supported/.test(err.cause.message));
+    assert.equal(fakes.docker.last_install, undefined);
+
+    installer.unpin('roon-docker-test');
+
+    assert.equal(installer.pin('roon-docker-test', '1.0.0'), false);
+    await assert.rejects(installer.install('roon-docker-test', undefined, '1.0.0'), (err) => {
+        return err.cause.message == 'Version pinning not supported: roon-docker-test';
+    });
+    await installer.install('roon-docker-test');
+
+    assert.ok(!titles(installer, 'roon-docker-test').includes('Pin version'));
+    assert.equal(installer.pin('roon-docker-test'), false);
+
+    fakes.cleanup();
+});
+
+test('versions passed to install get pinned after a successful install only', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+    const install = installer.install('roon-extension-test');
+
+    // Rejected as an install is pending
+    await assert.rejects(installer.install('roon-extension-test', undefined, 'v1.0.0'), (err) => /Pending action/.test(err.cause.message));
+    assert.equal(installer.get_pin('roon-extension-test'), undefined);
+
+    await install;
+    await installer.uninstall('roon-extension-test');
+
+    fakes.respond = (file, args) => (args.includes('install') ? { code: 1, stderr: 'npm ERR! boom' } : undefined);
+
+    await assert.rejects(installer.install('roon-extension-test', undefined, 'v1.0.0'));
+    assert.equal(installer.get_pin('roon-extension-test'), undefined);
+    assert.ok(!fs.existsSync(fakes.root + 'pins.json') ||
+              !JSON.parse(fs.readFileSync(fakes.root + 'pins.json', 'utf8'))['roon-extension-test']);
+
+    fakes.respond = undefined;
+
+    await installer.install('roon-extension-test', undefined, 'v1.0.0');
+    assert.equal(installer.get_pin('roon-extension-test'), 'v1.0.0');
+    assert.ok(fakes.commands.some((command) => command.includes('roon-extension-test.git#semver:v1.0.0')));
+
+    fakes.cleanup();
+});
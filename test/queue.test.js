@@ -0,0 +1,244 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+
+const { create_fakes, create_installer } = require('./fakes.js');
+
+test('queued actions get performed in order, settling their promises', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+    let events = [];
+
+    ['install:start', 'install:done', 'uninstall:start', 'uninstall:done'].forEach((event) => {
+        installer.on(event, (e) => events.push(event + ' ' + e.name));
+    });
+
+    const install = installer.install('roon-extension-test');
+
+    assert.deepEqual(installer.get_queue().map((entry) => [entry.name, entry.title, entry.state]), [
+        ['roon-extension-test', 'Install', 'running']
+    ]);
+
+    // One action per extension
+    await assert.rejects(installer.uninstall('roon-extension-test'), (err) => /Pending action: Install/.test(err.cause.message));
+    assert.equal(await install, '0.1.0');
+    await installer.uninstall('roon-extension-test');
+
+    assert.deepEqual(events, [
+        'install:start roon-extension-test',
+        'install:done roon-extension-test',
+        'uninstall:start roon-extension-test',
+        'uninstall:done roon-extension-test'
+    ]);
+    assert.ok(installer.is_idle());
+    assert.deepEqual(JSON.parse(fs.readFileSync(fakes.root + 'queue.json', 'utf8')), {});
+
+    fakes.cleanup();
+});
+
+test('npm actions run one at a time, other backends in parallel up to the concurrency', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes, { action_concurrency: 2 });
+
+    installer.repos[1].extensions.push({
+        display_name: 'Second',
+        repository:   { type: 'git', url: 'https://github.com/owner/roon-extension-second.git' }
+    });
+
+    const installs = [
+        installer.install('roon-extension-test'),
+        installer.install('roon-extension-second'),
+        installer.install('roon-docker-test')
+    ];
+
+    assert.deepEqual(installer.get_queue().map((entry) => [entry.name, entry.state]), [
+        ['roon-extension-test', 'running'],
+        ['roon-extension-second', 'pending'],
+        ['roon-docker-test', 'running']
+    ]);
+
+    assert.deepEqual(await Promise.all(installs), ['0.1.0', '0.1.0', '1.0.0']);
+    assert.deepEqual(installer.get_queue(), []);
+
+    fakes.cleanup();
+});
+
+test('pending actions can be cancelled and moved', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+
+    installer.repos[1].extensions.push({
+        display_name: 'Second',
+        repository:   { type: 'git', url: 'https://github.com/owner/roon-extension-second.git' }
+    });
+
+    const first = installer.install('roon-extension-test');
+    const second = installer.install('roon-extension-second');
+    const third = installer.install('roon-docker-test');
+
+    assert.equal(installer.cancel('roon-extension-test'), false);       // Already running
+    assert.equal(installer.move('roon-docker-test', 0), true);
+    assert.deepEqual(installer.get_queue().map((entry) => entry.name), [
+        'roon-extension-test',
+        'roon-docker-test',
+        'roon-extension-second'
+    ]);
+    assert.equal(installer.cancel('roon-extension-second'), true);
+
+    await assert.rejects(second, (err) => err.cause.message == 'Cancelled' && err.extension == 'roon-extension-second');
+    await first;
+    await third;
+    assert.equal(installer.get_status('roon-extension-second').state, 'not_installed');
+
+    fakes.cleanup();
+});
+
+test('failed actions reject with an action error', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+
+    fakes.respond = (file, args) => (args.includes('install') ? { code: 1, stderr: 'npm ERR! boom' } : undefined);
+
+    await assert.rejects(installer.install('roon-extension-test'), (err) => {
+        return err.action == 1 && err.extension == 'roon-extension-test' && /Install failed/.test(err.message);
+    });
+    assert.ok(installer.is_idle());
+
+    fakes.cleanup();
+});
+
+test('interrupted actions get resumed on startup, unless no longer in the repository', async () => {
+    const fakes = create_fakes();
+
+    fs.writeFileSync(fakes.root + 'queue.json', JSON.stringify({
+        'roon-extension-test': { action: 1, queued: '2021-01-01T00:00:00.000Z', started: '2021-01-01T00:00:01.000Z' },
+        'roon-extension-gone': { action: 1, queued: '2021-01-01T00:00:00.000Z', started: '2021-01-01T00:00:01.000Z' },
+        'roon-docker-test':    { action: 3, queued: '2021-01-01T00:00:00.000Z' }
+    }));
+
+    const installer = await create_installer(fakes);
+
+    // Uninstall of an extension that isn't installed is not resumed
+    assert.deepEqual(installer.get_queue().map((entry) => entry.name), ['roon-extension-test']);
+
+    await installer.install('roon-extension-test');
+
+    assert.equal(installer.get_status('roon-extension-test').state, 'running');
+    assert.deepEqual(JSON.parse(fs.readFileSync(fakes.root + 'queue.json', 'utf8')), {});
+
+    fakes.cleanup();
+});
+
+test('actions on extensions that are not in the repository fail without blocking the queue', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+    const failed = installer._wait_for_action('roon-extension-gone', 1);
+
+    installer.perform_action(1, 'roon-extension-gone');
+
+    await assert.rejects(failed, (err) => err.cause.message == 'Not in repository: roon-extension-gone');
+    assert.equal(await installer.install('roon-extension-test'), '0.1.0');
+    assert.ok(installer.is_idle());
+
+    fakes.cleanup();
+});
+
+test('install of an unknown extension gets rejected up front', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+
+    await assert.rejects(installer.install('not-in-repo'), (err) => {
+        return err.action == 1 && err.extension == 'not-in-repo' && err.cause.message == 'Not in repository: not-in-repo';
+    });
+    assert.ok(installer.is_idle());
+    assert.equal(installer.get_pin('not-in-repo'), undefined);
+
+    fakes.cleanup();
+});
+
+test('abort cancels the pending actions and fails the running ones', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+
+    installer.repos[1].extensions.push({
+        display_name: 'Second',
+        repository:   { type: 'git', url: 'https://github.com/owner/roon-extension-second.git' }
+    });
+    fakes.hang = 'install';
+
+    const first = installer.install('roon-extension-test');
+    const second = installer.install('roon-extension-second');
+
+    installer.abort();
+
+    await assert.rejects(second, (err) => err.cause.message == 'Cancelled');
+    await assert.rejects(first, (err) => err.cause.aborted);
+    assert.ok(installer.is_idle());
+
+    fakes.cleanup();
+});
+
+test('installs wait for the installs of their requirements', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes, { action_concurrency: 2 });
+
+    installer.repos[1].extensions.push({
+        display_name: 'Dependent',
+        image:        { repo: 'owner/roon-docker-dependent' },
+        requires:     ['roon-extension-test']
+    });
+
+    const installs = [installer.install('roon-extension-test'), installer.install('roon-docker-dependent')];
+
+    assert.deepEqual(installer.get_queue().map((entry) => [entry.name, entry.state]), [
+        ['roon-extension-test', 'running'],
+        ['roon-docker-dependent', 'pending']
+    ]);
+    assert.deepEqual(await Promise.all(installs), ['0.1.0', '1.0.0']);
+
+    fakes.cleanup();
+});
+
+test('pending actions can be replaced in place, rejecting the promise of the replaced action', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+
+    installer.repos[1].extensions.push({
+        display_name: 'Second',
+        repository:   { type: 'git', url: 'https://github.com/owner/roon-extension-second.git' }
+    });
+
+    fakes.npm.outdated['roon-extension-second'] = '0.2.0';
+    await installer.install('roon-extension-second');
+    await new Promise((resolve) => installer._query_updates(resolve));
+
+    const first = installer.install('roon-extension-test');
+    const second = installer.update('roon-extension-second');
+    const third = installer.install('roon-docker-test');
+
+    // Refused: started, no update, not queued, not queueable
+    await assert.rejects(installer.replace('roon-extension-test', 3), (err) => err.cause.message == 'Already started');
+    await assert.rejects(installer.replace('roon-docker-test', 2), (err) => err.cause.message == 'No update available');
+    await assert.rejects(installer.replace('roon-extension-repository', 3), (err) => err.cause.message == 'Not queued');
+    await assert.rejects(installer.replace('roon-docker-test', 4), (err) => /Not a queueable action/.test(err.cause.message));
+
+    const replaced = installer.replace('roon-extension-second', 3);      // Uninstall instead of update
+
+    await assert.rejects(second, (err) => err.cause.message == 'Replaced by: Uninstall' && err.action == 2);
+    assert.deepEqual(installer.get_queue().map((entry) => [entry.name, entry.title, entry.state]), [
+        ['roon-extension-test', 'Install', 'running'],
+        ['roon-extension-second', 'Uninstall', 'pending'],
+        ['roon-docker-test', 'Install', 'pending']
+    ]);
+
+    await first;
+    await replaced;
+    await third;
+
+    assert.equal(installer.get_status('roon-extension-second').state, 'not_installed');
+    assert.ok(!fakes.commands.some((command) => / update .*roon-extension-second/.test(command)));
+
+    fakes.cleanup();
+});
@@ -0,0 +1,93 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('assert');
+
+const { create_fakes, create_installer } = require('./fakes.js');
+
+const URL = 'https://example.com/repository.json';
+const remote = JSON.stringify([{
+    display_name: 'Remote',
+    extensions: [{
+        display_name: 'Remote Extension',
+        repository:   { type: 'git', url: 'https://github.com/owner/roon-extension-remote.git' }
+    }]
+}]);
+
+test('remote repositories get merged, unchanged ones are taken from the cache', async () => {
+    const fakes = create_fakes();
+
+    fakes.served[URL] = { body: remote, etag: '"1"' };
+
+    let installer = await create_installer(fakes, { repositories: [URL] });
+
+    assert.ok(installer._get_extension('roon-extension-remote'));
+    assert.ok(installer._get_extension('roon-extension-test'));
+
+    installer = await create_installer(fakes, { repositories: [URL] });
+
+    assert.equal(fakes.requests.pop().headers['If-None-Match'], '"1"');
+    assert.ok(installer._get_extension('roon-extension-remote'));
+
+    fakes.cleanup();
+});
+
+test('redirects are followed to HTTPS URLs only', async () => {
+    const fakes = create_fakes();
+
+    fakes.served[URL] = { status: 302, headers: { location: '/moved.json' } };
+    fakes.served['https://example.com/moved.json'] = { body: remote };
+
+    let installer = await create_installer(fakes, { repositories: [URL] });
+
+    assert.ok(installer._get_extension('roon-extension-remote'));
+
+    // Downgrade to http fails the download instead of throwing
+    fakes.cleanup();
+
+    const insecure = create_fakes();
+
+    insecure.served[URL] = { status: 301, headers: { location: 'http://example.com/repository.json' } };
+    installer = await create_installer(insecure, { repositories: [URL] });
+
+    assert.equal(installer._get_extension('roon-extension-remote'), undefined);
+    assert.ok(installer._get_extension('roon-extension-test'));
+
+    insecure.cleanup();
+});
+
+test('repositories that are not a list get ignored', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes, { repositories: URL });
+
+    assert.equal(fakes.requests.length, 0);
+    assert.ok(installer._get_extension('roon-extension-test'));
+
+    fakes.cleanup();
+});
+
+test('explicit names override the derived name of git entries, but not of docker entries', async () => {
+    const fakes = create_fakes();
+
+    fakes.served[URL] = { body: JSON.stringify([{
+        display_name: 'Remote',
+        extensions: [{
+            display_name: 'Renamed Extension',
+            name:         'roon-extension-renamed',
+            repository:   { type: 'git', url: 'https://github.com/owner/roon-extension-remote.git' }
+        }, {
+            display_name: 'Renamed Docker',
+            name:         'roon-docker-renamed',
+            image:        { repo: 'owner/roon-docker-remote' }
+        }]
+    }]) };
+
+    const installer = await create_installer(fakes, { repositories: [URL] });
+
+    assert.ok(installer._get_extension('roon-extension-renamed'));
+    assert.equal(installer._get_extension('roon-extension-remote'), undefined);
+    assert.ok(installer._get_extension('roon-docker-remote'));
+    assert.equal(installer._get_extension('roon-docker-renamed'), undefined);
+
+    fakes.cleanup();
+});
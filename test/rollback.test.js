@@ -0,0 +1,108 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+
+const { create_fakes, create_installer } = require('./fakes.js');
+
+function titles(installer, name) {
+    return installer.get_actions(name).actions.map((action) => action.title);
+}
+
+// Lets npm update write version 0.2.0 into the package directory and npm list report the version on disk
+function respond_with_package_dir(fakes, update_result, list_result) {
+    const dir = fakes.root + 'node_modules/roon-extension-test/';
+
+    fakes.respond = (file, args, options) => {
+        if (args.includes('update')) {
+            fs.writeFileSync(dir + 'package.json', JSON.stringify({ name: 'roon-extension-test', version: '0.2.0' }));
+            fs.writeFileSync(dir + 'added.js', '');
+
+            return update_result;
+        } else if (args.includes('list')) {
+            const version = JSON.parse(fs.readFileSync(dir + 'package.json', 'utf8')).version;
+
+            return Object.assign({ stdout: JSON.stringify({ dependencies: { 'roon-extension-test': { version } } }) },
+                                 list_result && list_result(version));
+        } else if (options && options.cwd) {
+            return { code: 1, stderr: 'npm ERR! peer dependency not found' };
+        }
+    };
+
+    return dir;
+}
+
+async function install_with_update(fakes) {
+    const installer = await create_installer(fakes);
+
+    await installer.install('roon-extension-test');
+
+    fakes.npm.outdated['roon-extension-test'] = '0.2.0';
+    await new Promise((resolve) => installer._query_updates(resolve));
+
+    return installer;
+}
+
+test('updates can be rolled back to the version before the update', async () => {
+    const fakes = create_fakes();
+    const installer = await install_with_update(fakes);
+    const dir = respond_with_package_dir(fakes, { stdout: '' });
+
+    assert.ok(!titles(installer, 'roon-extension-test').includes('Rollback'));
+    assert.equal(await installer.update('roon-extension-test'), '0.2.0');
+    assert.ok(titles(installer, 'roon-extension-test').includes('Rollback'));
+
+    assert.equal(await installer.rollback('roon-extension-test'), '0.1.0');
+    assert.ok(!fs.existsSync(dir + 'added.js'));
+    assert.ok(!titles(installer, 'roon-extension-test').includes('Rollback'));
+
+    // The snapshot is gone
+    await assert.rejects(installer.rollback('roon-extension-test'), (err) => err.cause.message == 'No snapshot available');
+
+    fakes.cleanup();
+});
+
+test('updates that fail in npm update get rolled back automatically', async () => {
+    const fakes = create_fakes();
+    const installer = await install_with_update(fakes);
+    const dir = respond_with_package_dir(fakes, { code: 1, stderr: 'npm ERR! update failed' });
+
+    await assert.rejects(installer.update('roon-extension-test'), (err) => err.cause.rolled_back === true);
+
+    assert.equal(installer.get_status('roon-extension-test').version, '0.1.0');
+    assert.equal(JSON.parse(fs.readFileSync(dir + 'package.json', 'utf8')).version, '0.1.0');
+    assert.ok(!fs.existsSync(dir + 'added.js'));
+
+    // The snapshot got used up
+    assert.ok(!titles(installer, 'roon-extension-test').includes('Rollback'));
+
+    fakes.cleanup();
+});
+
+test('updates that fail in post install get rolled back automatically', async () => {
+    const fakes = create_fakes();
+    const installer = await install_with_update(fakes);
+    // The new version has a peer dependency that fails to install
+    const dir = respond_with_package_dir(fakes, { stdout: '' }, (version) => (version == '0.2.0' ? {
+        code:   1,
+        stdout: JSON.stringify({
+            problems:     ['peer dep missing: node-roon-api@^1.0.0, required by roon-extension-test@0.2.0'],
+            dependencies: { 'roon-extension-test': { version } }
+        })
+    } : undefined));
+
+    await assert.rejects(installer.update('roon-extension-test'), (err) => {
+        return err.cause.rolled_back === true && err.cause.peer_dependency == 'node-roon-api@^1.0.0';
+    });
+
+    assert.equal(installer.get_status('roon-extension-test').version, '0.1.0');
+    assert.equal(JSON.parse(fs.readFileSync(dir + 'package.json', 'utf8')).version, '0.1.0');
+    assert.ok(!fs.existsSync(dir + 'added.js'));
+    assert.ok(!titles(installer, 'roon-extension-test').includes('Rollback'));
+
+    // Rolled back instead of uninstalled
+    assert.ok(!fakes.commands.some((command) => command.includes('uninstall')));
+
+    fakes.cleanup();
+});
@@ -0,0 +1,107 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('assert');
+
+const fs = require('fs');
+
+const { create_fakes, create_installer, once } = require('./fakes.js');
+
+// Wednesday
+function at(hours, minutes) {
+    return new Date(2021, 0, 6, hours, minutes);
+}
+
+async function create_outdated_installer(schedule) {
+    const fakes = create_fakes();
+
+    fakes.npm.globals['roon-extension-test'] = '1.0.0';
+    fs.mkdirSync(fakes.root + 'node_modules/roon-extension-test');
+    fakes.npm.outdated['roon-extension-test'] = '1.1.0';
+
+    const installer = await create_installer(fakes, { update_schedule: schedule });
+    const statuses = [];
+
+    installer.on('status', (status) => statuses.push(status.message));
+
+    return { fakes, installer, statuses };
+}
+
+function scheduled_update(installer, schedule, now) {
+    installer._scheduled_update(schedule, now);
+
+    return new Promise((resolve) => setTimeout(resolve, 20));
+}
+
+test('scheduled updates run inside the window only, also if it spans midnight', async () => {
+    const schedule = { window: '22:00-02:00' };
+    const { fakes, installer, statuses } = await create_outdated_installer(schedule);
+
+    assert.ok(installer.update_timer);
+
+    await scheduled_update(installer, schedule, at(12, 0));
+    assert.deepEqual(statuses, []);
+
+    const updated = once(installer, 'update:done');
+
+    await scheduled_update(installer, schedule, at(1, 30));
+    await updated;
+    assert.ok(statuses.includes('Scheduled update: roon-extension-test'));
+    assert.equal(fakes.npm.globals['roon-extension-test'], '1.1.0');
+
+    clearInterval(installer.update_timer);
+    fakes.cleanup();
+});
+
+test('scheduled updates run on the configured days only', async () => {
+    const schedule = { days: [0, 6] };
+    const { fakes, installer, statuses } = await create_outdated_installer(schedule);
+
+    await scheduled_update(installer, schedule, at(12, 0));
+    assert.deepEqual(statuses, []);
+
+    const updated = once(installer, 'update:done');
+
+    await scheduled_update(installer, schedule, new Date(2021, 0, 9, 12, 0));       // Saturday
+    await updated;
+    assert.ok(statuses.includes('Scheduled update: roon-extension-test'));
+
+    clearInterval(installer.update_timer);
+    fakes.cleanup();
+});
+
+test('excluded extensions are not updated, with notify_only nothing is', async () => {
+    const { fakes, installer, statuses } = await create_outdated_installer({});
+
+    await scheduled_update(installer, { exclude: ['roon-extension-test'] }, at(12, 0));
+    assert.deepEqual(statuses, []);
+
+    await scheduled_update(installer, { notify_only: true }, at(12, 0));
+    assert.deepEqual(statuses, ['Updates available: roon-extension-test']);
+    assert.equal(fakes.npm.globals['roon-extension-test'], '1.0.0');
+
+    clearInterval(installer.update_timer);
+    fakes.cleanup();
+});
+
+test('malformed schedules are reported and not started', async () => {
+    const schedules = [{ window: '02:00' }, { window: '25:00-02:00' }, { days: 'weekend' }, { days: [7] }];
+
+    for (const schedule of schedules) {
+        const fakes = create_fakes();
+        const installer = await create_installer(fakes, { update_schedule: schedule });
+        const reported = once(installer, 'status');
+
+        assert.equal(installer.update_timer, undefined);
+
+        installer._start_update_schedule();
+
+        assert.deepEqual(await reported, {
+            message:  'Update schedule not started: ' + (schedule.window ? 'window should be HH:MM-HH:MM' :
+                                                         'days should be an array of the numbers 0 (Sunday) to 6'),
+            is_error: true
+        });
+
+        fakes.cleanup();
+    }
+});
@@ -0,0 +1,76 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+
+const { create_fakes, create_installer } = require('./fakes.js');
+
+test('malformed repository entries are skipped and reported, valid ones get loaded', async () => {
+    const fakes = create_fakes();
+
+    fs.mkdirSync(fakes.root + 'repos');
+    fs.writeFileSync(fakes.root + 'repos/local.json', JSON.stringify([{
+        display_name: 'Local',
+        extensions: [{
+            display_name: 'Valid',
+            repository:   { type: 'git', url: 'https://github.com/owner/roon-extension-valid.git' }
+        }, {
+            display_name: 'No URL',
+            repository:   { type: 'git', url: '' }
+        }, {
+            display_name: 'Bad Tags',
+            tags:         'audio',
+            repository:   { type: 'git', url: 'https://github.com/owner/roon-extension-tags.git' }
+        }]
+    }, {
+        display_name: 'No Extensions'
+    }]));
+    fs.writeFileSync(fakes.root + 'repos/object.json', JSON.stringify({ display_name: 'Not a list' }));
+    fs.writeFileSync(fakes.root + 'repos/broken.json', '[{');
+
+    const installer = await create_installer(fakes);
+    const errors = installer.get_repository_errors().map((error) => {
+        return [error.file.split('/').pop(), error.category, error.index, error.field];
+    });
+
+    assert.ok(installer._get_extension('roon-extension-valid'));
+    assert.equal(installer._get_extension('roon-extension-tags'), undefined);
+    assert.ok(installer._get_extension('roon-extension-test'));
+
+    assert.deepEqual(errors.filter((error) => error[0] == 'local.json').sort(), [
+        ['local.json', 0, 1, 'repository.url'],
+        ['local.json', 0, 2, 'tags'],
+        ['local.json', 1, undefined, 'extensions']
+    ]);
+    assert.ok(errors.some((error) => error[0] == 'object.json' && error[1] === undefined));
+    assert.ok(errors.some((error) => error[0] == 'broken.json'));
+
+    fakes.cleanup();
+});
+
+test('integrity fields have to be a full commit SHA or a sha256 digest', async () => {
+    const fakes = create_fakes();
+
+    fs.mkdirSync(fakes.root + 'repos');
+    fs.writeFileSync(fakes.root + 'repos/local.json', JSON.stringify([{
+        display_name: 'Local',
+        extensions: [{
+            display_name: 'Short Commit',
+            repository:   { type: 'git', url: 'https://github.com/owner/roon-extension-short.git' },
+            integrity:    { commit: 'abc1234' }
+        }, {
+            display_name: 'Full Commit',
+            repository:   { type: 'git', url: 'https://github.com/owner/roon-extension-full.git' },
+            integrity:    { commit: 'a'.repeat(40) }
+        }]
+    }]));
+
+    const installer = await create_installer(fakes);
+
+    assert.equal(installer._get_extension('roon-extension-short'), undefined);
+    assert.ok(installer._get_extension('roon-extension-full'));
+    assert.equal(installer.get_repository_errors()[0].field, 'integrity.commit');
+
+    fakes.cleanup();
+});
@@ -0,0 +1,95 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('assert');
+
+const { create_fakes, create_installer } = require('./fakes.js');
+
+const URL = 'https://example.com/repository.json';
+const remote = JSON.stringify([{
+    display_name: 'Remote',
+    extensions: [{
+        author:       'Carol',
+        display_name: 'alarm Clock',
+        description:  'Wakes you up with audio',
+        tags:         ['Audio', 'Alarm'],
+        repository:   { type: 'git', url: 'https://github.com/owner/roon-extension-alarm.git' }
+    }, {
+        author:       'D',
+        display_name: 'Zone Sync',
+        description:  'Keeps zones in sync',
+        tags:         ['zones'],
+        image:        { repo: 'owner/roon-docker-sync' }
+    }, {
+        // Entries without a display name are not listed
+        repository:   { type: 'git', url: 'https://github.com/owner/roon-extension-hidden.git' }
+    }]
+}]);
+
+async function create_search_installer(fakes) {
+    fakes.served[URL] = { body: remote };
+
+    return create_installer(fakes, { repositories: [URL] });
+}
+
+function names(results) {
+    return results.map((result) => result.value);
+}
+
+test('search matches all words against the display name, description, author and tags, sorted by title', async () => {
+    const fakes = create_fakes();
+    const installer = await create_search_installer(fakes);
+
+    assert.deepEqual(names(installer.search('audio')), ['roon-extension-alarm', 'roon-extension-test']);
+    assert.deepEqual(names(installer.search('AUDIO  wakes')), ['roon-extension-alarm']);
+    assert.deepEqual(names(installer.search('audio zones')), []);
+    assert.deepEqual(names(installer.search('carol')), ['roon-extension-alarm']);
+    assert.deepEqual(names(installer.search('zones')), ['roon-docker-sync']);
+    assert.deepEqual(names(installer.search('alarm')), ['roon-extension-alarm']);
+
+    const all = installer.search();
+
+    // Case insensitive sort on the title
+    assert.deepEqual(all.map((result) => result.title), all.map((result) => result.title).sort((a, b) => {
+        return a.toLowerCase().localeCompare(b.toLowerCase());
+    }));
+    assert.ok(names(all).includes('roon-docker-sync'));
+    assert.ok(!names(all).includes('roon-extension-hidden'));
+
+    const clock = all.find((result) => result.value == 'roon-extension-alarm');
+
+    assert.equal(installer.get_extensions_by_category(clock.category)[0].value, 'roon-extension-alarm');
+
+    fakes.cleanup();
+});
+
+test('search results can be filtered on install type, install state, available update and tags', async () => {
+    const fakes = create_fakes();
+    const installer = await create_search_installer(fakes);
+    const ours = (results) => names(results).filter((name) => /-(test|alarm|sync)$/.test(name));
+
+    assert.deepEqual(ours(installer.search('', { type: 'docker' })), ['roon-docker-test', 'roon-docker-sync']);
+    assert.deepEqual(ours(installer.search('', { type: 'npm' })), ['roon-extension-alarm', 'roon-extension-test']);
+
+    await installer.install('roon-extension-test');
+    await installer.install('roon-docker-sync');
+
+    assert.deepEqual(ours(installer.search('', { installed: true })), ['roon-extension-test', 'roon-docker-sync']);
+    assert.deepEqual(ours(installer.search('', { installed: false })), ['roon-extension-alarm', 'roon-docker-test']);
+
+    fakes.npm.outdated['roon-extension-test'] = '0.2.0';
+    await new Promise((resolve) => installer._query_updates(resolve));
+
+    assert.deepEqual(ours(installer.search('', { update_available: true })), ['roon-extension-test']);
+    assert.deepEqual(ours(installer.search('', { update_available: false })),
+                     ['roon-extension-alarm', 'roon-docker-test', 'roon-docker-sync']);
+    assert.deepEqual(names(installer.search('', { update_available: true, type: 'docker' })), []);
+
+    // All tags have to match, case insensitive
+    assert.deepEqual(names(installer.search('', { tags: ['audio'] })), ['roon-extension-alarm', 'roon-extension-test']);
+    assert.deepEqual(names(installer.search('', { tags: ['AUDIO', 'alarm'] })), ['roon-extension-alarm']);
+    assert.deepEqual(names(installer.search('', { tags: ['audio', 'zones'] })), []);
+    assert.deepEqual(names(installer.search('clock', { tags: ['audio'], installed: false })), ['roon-extension-alarm']);
+
+    fakes.cleanup();
+});
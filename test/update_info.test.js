@@ -0,0 +1,162 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('assert');
+const fs = require('fs');
+
+const NpmBackend = require('../backends/npm.js');
+const { create_fakes, create_installer } = require('./fakes.js');
+
+const URL = 'https://example.com/repository.json';
+const RAW_URL = 'https://raw.githubusercontent.com/owner/';
+const HEAD = '0000000000000000000000000000000000000000';
+const INSTALLED = '1111111111111111111111111111111111111111';
+const PEELED = '5555555555555555555555555555555555555555';
+
+const changelog = [
+    '# Changelog',
+    '',
+    '## v1.2.0',
+    '- Two',
+    '',
+    '## v1.1.0',
+    '- One',
+    '',
+    '## v1.0.0',
+    '- Initial'
+].join('\n');
+
+function create_backend(fakes) {
+    return new Promise((resolve) => {
+        const backend = new NpmBackend(() => {}, {
+            child_process: fakes.child_process,
+            https:         fakes.https
+        }, () => resolve(backend));
+    });
+}
+
+function get_update_info(backend, url, version) {
+    return new Promise((resolve) => {
+        backend.get_update_info('roon-extension-test', { repository: { type: 'git', url: url } }, version, resolve);
+    });
+}
+
+function respond_with_tags(fakes, tags) {
+    fakes.respond = (file, args) => {
+        if (file == 'git' && args[0] == 'ls-remote') {
+            const lines = [HEAD + '\tHEAD'].concat(Object.keys(tags).map((tag) => tags[tag] + '\trefs/tags/' + tag));
+
+            return { stdout: lines.join('\n') + '\n' };
+        }
+    };
+}
+
+async function create_installed_backend(fakes) {
+    const dir = fakes.root + 'node_modules/roon-extension-test/';
+
+    fakes.npm.globals['roon-extension-test'] = '1.0.0';
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(dir + 'package.json', JSON.stringify({ name: 'roon-extension-test', gitHead: INSTALLED }));
+
+    return create_backend(fakes);
+}
+
+test('update info lists the tags between the versions with the commit range and release notes', async () => {
+    const fakes = create_fakes();
+    const backend = await create_installed_backend(fakes);
+
+    respond_with_tags(fakes, {
+        'v0.9.0':     '2222222222222222222222222222222222222222',
+        'v1.0.0':     INSTALLED,
+        'v1.1.0':     '3333333333333333333333333333333333333333',
+        'v1.2.0':     '4444444444444444444444444444444444444444',     // Annotated, the tag object
+        'v1.2.0^{}':  PEELED,
+        'v1.3.0':     '6666666666666666666666666666666666666666',
+        'not-semver': '7777777777777777777777777777777777777777'
+    });
+    fakes.served[RAW_URL + 'roon-extension-test/v1.2.0/CHANGELOG.md'] = { body: changelog };
+
+    const info = await get_update_info(backend, 'https://github.com/owner/roon-extension-test.git', '1.2.0');
+
+    assert.deepEqual(info.tags, ['v1.1.0', 'v1.2.0']);
+    assert.deepEqual(info.commits, { from: INSTALLED, to: PEELED });
+    assert.equal(info.release_notes, '# Changelog\n\n## v1.2.0\n- Two\n\n## v1.1.0\n- One');
+
+    fakes.cleanup();
+});
+
+test('update info without a matching tag takes the head commit and the changelog of the installed package', async () => {
+    const fakes = create_fakes();
+    const backend = await create_installed_backend(fakes);
+
+    respond_with_tags(fakes, { 'v1.0.0': INSTALLED });
+    fs.writeFileSync(fakes.root + 'node_modules/roon-extension-test/CHANGELOG.md', '## 0.1.0\n- Unrelated');
+
+    const info = await get_update_info(backend, 'https://github.com/owner/roon-extension-test.git', '1.2.0');
+
+    assert.deepEqual(info.tags, []);
+    assert.deepEqual(info.commits, { from: INSTALLED, to: HEAD });
+
+    // The current version isn't in there, all of it is taken
+    assert.equal(info.release_notes, '## 0.1.0\n- Unrelated');
+    assert.equal(fakes.requests[0].url, RAW_URL + 'roon-extension-test/HEAD/CHANGELOG.md');
+
+    fakes.cleanup();
+});
+
+test('update info of entries without a git repository is empty', async () => {
+    const fakes = create_fakes();
+    const backend = await create_installed_backend(fakes);
+
+    assert.deepEqual(await get_update_info(backend, '', '1.2.0'), { tags: [], commits: undefined, release_notes: undefined });
+    assert.ok(!fakes.commands.some((command) => command.startsWith('git ls-remote')));
+
+    fakes.cleanup();
+});
+
+test('release notes of the repository entry take precedence over the changelog', async () => {
+    const fakes = create_fakes();
+
+    fakes.served[URL] = { body: JSON.stringify([{
+        display_name: 'Remote',
+        extensions: [{
+            display_name:  'Remote Extension',
+            repository:    { type: 'git', url: 'https://github.com/owner/roon-extension-remote.git' },
+            release_notes: { '0.2.0': 'Notes of the entry' }
+        }]
+    }]) };
+    fakes.served[RAW_URL + 'roon-extension-remote/v0.2.0/CHANGELOG.md'] = { body: '## v0.2.0\n- Changelog\n\n## v0.1.0' };
+
+    const installer = await create_installer(fakes, { repositories: [URL] });
+
+    respond_with_tags(fakes, { 'v0.1.0': INSTALLED, 'v0.2.0': PEELED });
+    await installer.install('roon-extension-remote');
+
+    // No update available, no backend query
+    assert.deepEqual(await installer.get_update_info('roon-extension-remote'), {
+        name:          'roon-extension-remote',
+        current:       '0.1.0',
+        available:     undefined,
+        tags:          [],
+        commits:       undefined,
+        release_notes: undefined
+    });
+
+    fakes.npm.outdated['roon-extension-remote'] = '0.2.0';
+    await new Promise((resolve) => installer._query_updates(resolve));
+
+    const info = await installer.get_update_info('roon-extension-remote');
+
+    assert.equal(info.available, '0.2.0');
+    assert.deepEqual(info.tags, ['v0.2.0']);
+    assert.equal(info.release_notes, 'Notes of the entry');
+
+    // Notes of other versions don't apply, the changelog is used instead
+    fakes.npm.outdated['roon-extension-remote'] = '0.3.0';
+    fakes.served[RAW_URL + 'roon-extension-remote/HEAD/CHANGELOG.md'] = { body: '## v0.3.0\n- Changelog\n\n## v0.1.0' };
+    await new Promise((resolve) => installer._query_updates(resolve));
+
+    assert.equal((await installer.get_update_info('roon-extension-remote')).release_notes, '## v0.3.0\n- Changelog');
+
+    fakes.cleanup();
+});
@@ -0,0 +1,69 @@
+"use strict";
+
+const test = require('node:test');
+const assert = require('assert');
+
+const versions = require('../versions.js');
+const { create_fakes, create_installer } = require('./fakes.js');
+
+test('versions get compared numerically', () => {
+    assert.ok(versions.compare('1.10.0', '1.9.0') > 0);
+    assert.ok(versions.compare('v1.2.3', '1.2.4') < 0);
+    assert.equal(versions.compare('1.2', '1.2.0'), 0);
+    assert.equal(versions.compare('1.2.3-beta.1', '1.2.3'), 0);
+});
+
+test('versions get checked against ranges', () => {
+    const cases = [
+        ['1.2.3', '>=1.2.0', true],
+        ['1.1.9', '>=1.2.0', false],
+        ['1.2.3', '>= 1.0.0 < 2.0.0', true],
+        ['2.0.0', '>=1.0.0 <2.0.0', false],
+        ['1.9.9', '^1.2.0', true],
+        ['2.0.0', '^1.2.0', false],
+        ['0.2.9', '^0.2.1', true],
+        ['0.3.0', '^0.2.1', false],
+        ['1.2.9', '~1.2.0', true],
+        ['1.3.0', '~1.2.0', false],
+        ['1.5.0', '1.x', true],
+        ['2.0.0', '1.x', false],
+        ['1.2.7', '1.2.*', true],
+        ['3.0.0', '*', true],
+        ['1.5.0', '1.0.0 - 2.0.0', true],
+        ['2.0.1', '1.0.0 - 2.0.0', false],
+        ['14.17.0', '^12.0.0 || >=14', true],
+        ['13.0.0', '^12.0.0 || >=14', false],
+        ['1.2.9', '<=1.2', true],
+        ['1.3.0', '<=1.2', false],
+        ['1.3.0', '>1.2', true],
+        ['1.2.5', '>1.2', false],
+        ['v16.0.0', '>=12', true]
+    ];
+
+    cases.forEach(([version, range, expected]) => {
+        assert.equal(versions.satisfies(version, range), expected, version + ' ' + range);
+    });
+});
+
+test('extensions with unmet engines, os or cpu constraints are not offered install', async () => {
+    const fakes = create_fakes();
+    const installer = await create_installer(fakes);
+    const extension = installer._get_extension('roon-extension-test');
+
+    extension.engines = { node: '>=1.0.0' };
+    assert.deepEqual(installer.get_actions('roon-extension-test').actions.map((action) => action.title), ['Install']);
+
+    extension.engines = { node: '<1.0.0' };
+    assert.deepEqual(installer.get_actions('roon-extension-test').actions, []);
+    assert.ok(installer.get_actions('roon-extension-test').reason);
+
+    extension.engines = undefined;
+    extension.os = ['!' + process.platform];
+    assert.ok(installer.get_actions('roon-extension-test').reason);
+
+    extension.os = undefined;
+    extension.cpu = [process.arch];
+    assert.equal(installer.get_actions('roon-extension-test').reason, undefined);
+
+    fakes.cleanup();
+});
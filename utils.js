@@ -0,0 +1,219 @@
+// Copyright 2021 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+const fs = require('fs');
+
+/**
+ * Parses JSON data, logging invalid data
+ *
+ * @param {String} data - The JSON data
+ * @returns {*} - The parsed value, undefined if not valid JSON
+ */
+function parse_JSON(data) {
+    let parsed = undefined;
+
+    try {
+        parsed = JSON.parse(data);
+    } catch (err) {
+        console.error(err);
+    }
+
+    return parsed;
+}
+
+/**
+ * Reads and parses a JSON file, other errors than a missing file or invalid JSON are thrown
+ *
+ * @param {String} file - The path of the file
+ * @returns {*} - The parsed value, undefined if the file doesn't exist or isn't valid JSON
+ */
+function read_JSON_file_sync(file) {
+    let parsed = undefined;
+
+    try {
+        parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+        if (err.toString().includes('SyntaxError')) {
+            console.error(err);
+        } else if (err.code !== 'ENOENT') {
+            throw err;
+        }
+    }
+
+    return parsed;
+}
+
+/**
+ * Removes a directory including its contents, a directory that doesn't exist is not an error
+ *
+ * @param {String} dir - The path of the directory
+ * @param {Function} [cb] - Called after removal
+ */
+function remove_dir(dir, cb) {
+    // fs.rm is available as of Node.js 14.14, older versions don't remove recursively
+    const remove = (fs.rm ? (path, cb) => fs.rm(path, { recursive: true }, cb) : _remove_path);
+
+    remove(dir, (err) => {
+        if (err && err.code != 'ENOENT') {
+            console.error(err);
+        }
+
+        cb && cb();
+    });
+}
+
+function _remove_path(path, cb) {
+    fs.lstat(path, (err, stats) => {
+        if (err) {
+            cb(err);
+        } else if (!stats.isDirectory()) {
+            fs.unlink(path, cb);
+        } else {
+            fs.readdir(path, (err, entries) => {
+                const remove_entry = (index) => {
+                    if (index < entries.length) {
+                        _remove_path(path + '/' + entries[index], (err) => {
+                            if (err && err.code != 'ENOENT') {
+                                cb(err);
+                            } else {
+                                remove_entry(index + 1);
+                            }
+                        });
+                    } else {
+                        fs.rmdir(path, cb);
+                    }
+                };
+
+                if (err) {
+                    cb(err);
+                } else {
+                    remove_entry(0);
+                }
+            });
+        }
+    });
+}
+
+/**
+ * Downloads a file over HTTPS, following redirects to HTTPS URLs only
+ *
+ * @param {Object} [https] - Replacement of the https module
+ * @param {String} url - The URL of the file
+ * @param {Object} headers - The request headers
+ * @param {Function} cb - Called with (status, body, headers), status is undefined in case of a network error
+ */
+function download(https, url, headers, cb) {
+    let completed = false;
+    const complete = (status, body, headers) => {
+        if (!completed) {
+            completed = true;
+
+            cb && cb(status, body, headers);
+        }
+    };
+    const get = (url, redirects) => {
+        const request = (https || require('https')).get(url, { headers: headers }, (response) => {
+            if (response.statusCode == 200) {
+                let body = '';
+
+                response.setEncoding('utf8');
+                response.on('data', (data) => {
+                    body += data;
+                });
+                response.on('end', () => {
+                    complete(response.statusCode, body, response.headers);
+                });
+            } else {
+                response.resume();
+
+                if (response.statusCode >= 300 && response.statusCode < 400 &&
+                        response.headers.location && redirects) {
+                    let location;
+
+                    try {
+                        location = new URL(response.headers.location, url);
+                    } catch (err) {
+                        location = undefined;
+                    }
+
+                    if (location && location.protocol == 'https:') {
+                        get(location.toString(), redirects - 1);
+                    } else {
+                        // Don't downgrade to an insecure connection
+                        console.error('Redirect refused: ' + response.headers.location);
+
+                        complete();
+                    }
+                } else {
+                    complete(response.statusCode, undefined, response.headers);
+                }
+            }
+        });
+
+        request.on('error', (err) => {
+            console.error(err.message);
+
+            complete();
+        });
+        request.setTimeout(30000, () => {
+            request.destroy(new Error('Timed out: ' + url));
+        });
+    };
+
+    get(url, 3);
+}
+
+/**
+ * Keeps track of a child process in a set, for abort; a killed process results in an error
+ * with either the timed_out or the aborted property set
+ *
+ * @param {Set} children - The running child processes, abort sets the aborted property of a child before killing it
+ * @param {String} description - The command, used in the error message
+ * @param {Number} timeout - The timeout in seconds, used in the error message
+ * @param {Function} run - Starts the child process with the passed callback, returns the child process
+ * @param {Function} cb - Called with (err, stdout, stderr)
+ */
+function track(children, description, timeout, run, cb) {
+    let done = false;
+    const child = run((err, stdout, stderr) => {
+        done = true;
+        children.delete(child);
+
+        if (err && child.aborted) {
+            err.aborted = true;
+            err.message = 'Aborted: ' + description;
+        } else if (err && err.killed) {
+            err.timed_out = true;
+            err.message = 'Timed out after ' + timeout + ' seconds: ' + description;
+        }
+
+        if (err && (err.aborted || err.timed_out)) {
+            console.error(err.message);
+        }
+
+        cb && cb(err, stdout, stderr);
+    });
+
+    if (!done) {
+        children.add(child);
+    }
+}
+
+exports.download = download;
+exports.parse_JSON = parse_JSON;
+exports.read_JSON_file_sync = read_JSON_file_sync;
+exports.remove_dir = remove_dir;
+exports.track = track;
@@ -0,0 +1,124 @@
+// Copyright 2021 The Appgineer
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+"use strict";
+
+/**
+ * Compares two versions numerically, a leading 'v' is ignored, as are pre-release suffixes
+ *
+ * @returns {Number} - Negative if a < b, positive if a > b, 0 if equal
+ */
+function compare(a, b) {
+    const a_parts = _parse(a);
+    const b_parts = _parse(b);
+
+    for (let i = 0; i < Math.max(a_parts.length, b_parts.length); i++) {
+        const diff = (parseInt(a_parts[i], 10) || 0) - (parseInt(b_parts[i], 10) || 0);
+
+        if (diff) {
+            return diff;
+        }
+    }
+
+    return 0;
+}
+
+/**
+ * Checks a version against a range, the subset of the npm range syntax that is used in engines fields:
+ * comparators (<, <=, >, >=, =), x-ranges (1.x, 1.2.*), caret and tilde ranges, hyphen ranges and ||
+ *
+ * @param {String} version - The version to check
+ * @param {String} range - The range to check against
+ * @returns {Boolean} - True if the version is in the range
+ */
+function satisfies(version, range) {
+    return String(range).split('||').some((comparator_set) => {
+        const hyphen = comparator_set.trim().split(/\s+-\s+/);
+        let comparators;
+
+        if (hyphen.length == 2) {
+            comparators = ['>=' + hyphen[0], '<=' + hyphen[1]];
+        } else {
+            comparators = comparator_set.trim().replace(/(<=|>=|<|>|=|\^|~)\s+/g, '$1').split(/\s+/);
+        }
+
+        return comparators.every((comparator) => _expand(comparator).every((bound) => {
+            const diff = compare(version, bound.version);
+
+            switch (bound.operator) {
+                case '<':  return diff < 0;
+                case '<=': return diff <= 0;
+                case '>':  return diff > 0;
+                case '>=': return diff >= 0;
+                default:   return diff == 0;
+            }
+        }));
+    });
+}
+
+function _parse(version) {
+    return String(version || '').trim().replace(/^[v=]/i, '').split(/[-+]/)[0].split('.');
+}
+
+/**
+ * Expands a comparator into the lower and upper bounds it stands for
+ *
+ * @returns {Object[]} - The { operator, version } of each bound, empty for any version
+ */
+function _expand(comparator) {
+    const match = /^(<=|>=|<|>|=|\^|~)?\s*v?([0-9xX*]+)?(?:\.([0-9xX*]+))?(?:\.([0-9xX*]+))?/.exec(comparator);
+    const operator = match[1] || '=';
+    // Number of specified parts, x-ranges and missing parts act as wildcards
+    const parts = [match[2], match[3], match[4]];
+    const specified = parts.findIndex((part) => (part === undefined || /^[xX*]$/.test(part)));
+    const count = (specified < 0 ? 3 : specified);
+    const numbers = parts.map((part, index) => (index < count ? parseInt(part, 10) : 0));
+    const lower = numbers.join('.');
+    let upper;
+
+    if (count == 0) {
+        return (operator == '<' || operator == '>' ? [{ operator: '<', version: '0.0.0' }] : []);
+    }
+
+    if (operator == '^') {
+        // Changes that don't modify the left-most non-zero part
+        const index = numbers.findIndex((number, index) => (number || index == count - 1));
+
+        upper = _bump(numbers, index);
+    } else if (operator == '~') {
+        upper = _bump(numbers, (count > 1 ? 1 : 0));
+    } else if (count < 3) {
+        upper = _bump(numbers, count - 1);
+    }
+
+    switch (operator) {
+        case '^':
+        case '~':
+        case '=':
+            return (upper ? [{ operator: '>=', version: lower }, { operator: '<', version: upper }] : [{ operator: '=', version: lower }]);
+        case '>':
+            return [{ operator: (upper ? '>=' : '>'), version: upper || lower }];
+        case '<=':
+            return [{ operator: (upper ? '<' : '<='), version: upper || lower }];
+        default:
+            return [{ operator: operator, version: lower }];
+    }
+}
+
+function _bump(numbers, index) {
+    return numbers.map((number, i) => (i < index ? number : (i == index ? number + 1 : 0))).join('.');
+}
+
+exports.compare = compare;
+exports.satisfies = satisfies;